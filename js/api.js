@@ -3,8 +3,9 @@
  * Handles communication with the Render backend with exponential backoff retry
  */
 
-import { API_BASE, RETRY_CONFIG } from './config.js';
+import { API_BASE, RETRY_CONFIG, STREAM_CONFIG } from './config.js';
 import { sleep } from './utils.js';
+import { createSSEParser } from './sse.js';
 
 /**
  * Calculate backoff delay with exponential growth and jitter
@@ -25,14 +26,43 @@ function calculateBackoff(attempt) {
   return Math.floor(cappedDelay + jitter);
 }
 
+/**
+ * Wait before the next attempt, ending early if the caller aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Caller's abort signal (optional)
+ * @returns {Promise<void>} Rejects with an AbortError when aborted
+ */
+function waitForRetry(ms, signal) {
+  if (!signal) return sleep(ms);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new DOMException('Request cancelled', 'AbortError'));
+    };
+    const timeoutId = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
 /**
  * Fetch with exponential backoff retry
  * @param {string} url - URL to fetch
- * @param {object} options - Fetch options
+ * @param {object} options - Fetch options; options.signal stops the request and any pending retries
  * @param {function} onRetry - Callback(attempt, delay, message) called on each retry
  * @returns {Promise<Response>} Fetch response
  */
 export async function fetchWithRetry(url, options = {}, onRetry = null) {
+  const { signal, ...fetchOptions } = options;
+
   const retryMessages = [
     "Waking up server...",
     "Connecting to database...",
@@ -43,16 +73,25 @@ export async function fetchWithRetry(url, options = {}, onRetry = null) {
 
   for (let attempt = 1; attempt <= RETRY_CONFIG.maxAttempts; attempt++) {
     try {
-      // Add 45s timeout for cold start
+      // Add 45s timeout for cold start; the caller's signal aborts the attempt too
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 45000);
+      const abortAttempt = () => controller.abort();
+      if (signal) {
+        if (signal.aborted) controller.abort();
+        signal.addEventListener('abort', abortAttempt, { once: true });
+      }
 
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
+      let response;
+      try {
+        response = await fetch(url, {
+          ...fetchOptions,
+          signal: controller.signal
+        });
+      } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', abortAttempt);
+      }
 
       // Check if status is retryable
       if (RETRY_CONFIG.retryableStatuses.includes(response.status)) {
@@ -68,7 +107,7 @@ export async function fetchWithRetry(url, options = {}, onRetry = null) {
           onRetry(attempt, delay, message);
         }
 
-        await sleep(delay);
+        await waitForRetry(delay, signal);
         continue;
       }
 
@@ -76,6 +115,11 @@ export async function fetchWithRetry(url, options = {}, onRetry = null) {
       return response;
 
     } catch (error) {
+      // Stopped by the caller: no more attempts
+      if (signal?.aborted) {
+        throw error;
+      }
+
       // Handle network errors and timeouts
       if (error.name === 'AbortError' || error instanceof TypeError) {
         if (attempt === RETRY_CONFIG.maxAttempts) {
@@ -90,7 +134,7 @@ export async function fetchWithRetry(url, options = {}, onRetry = null) {
           onRetry(attempt, delay, message);
         }
 
-        await sleep(delay);
+        await waitForRetry(delay, signal);
         continue;
       }
 
@@ -125,8 +169,12 @@ let currentStreamController = null;
  * @param {function} onEvent - Callback(event) for each SSE event
  * @param {function} onError - Callback(error) for errors
  * @param {function} onRetry - Callback(attempt, delay, message) for retry status
+ * @param {Array} history - Previous turns [{question, answer, sources}] for follow-up context
+ * @param {Array} entities - Resolved entity references [{name, label}] the question mentions
  */
-export async function askQuestionStream(question, onEvent, onError, onRetry) {
+export async function askQuestionStream(question, onEvent, onError, onRetry, history = [], entities = []) {
+  let controller = null;
+
   try {
     // Cancel previous stream if exists
     if (currentStreamController) {
@@ -134,65 +182,95 @@ export async function askQuestionStream(question, onEvent, onError, onRetry) {
       currentStreamController = null;
     }
 
-    // First, wake up the backend with health check
-    await fetchWithRetry(`${API_BASE}/health`, {}, onRetry);
+    // Create new abort controller for this stream (before the health check so it can be stopped early)
+    controller = new AbortController();
+    currentStreamController = controller;
 
-    // Create new abort controller for this stream
-    currentStreamController = new AbortController();
+    // First, wake up the backend with health check (Stop ends the retries too)
+    await fetchWithRetry(`${API_BASE}/health`, { signal: controller.signal }, onRetry);
 
-    // Start the streaming query
-    const response = await fetch(`${API_BASE}/api/chat/stream`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ question }),
-      signal: currentStreamController.signal
-    });
-
-    if (!response.ok) {
-      throw new Error(`Stream failed: ${response.status} ${response.statusText}`);
+    // Stopped while waking up the backend
+    if (controller.signal.aborted) {
+      console.log('Stream cancelled');
+      return;
     }
 
-    // Read the SSE stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
+    // Parse the event stream; events replayed after a resume are skipped by ID
+    // Only events with their own id field are compared: untagged events inherit the previous ID
+    const seenEventIds = new Set();
+    let finished = false;
 
-    while (true) {
-      const { done, value } = await reader.read();
+    const parser = createSSEParser(({ type, data, id, hasOwnId }) => {
+      if (finished) return;
 
-      if (done) {
-        break;
+      if (hasOwnId && id) {
+        if (seenEventIds.has(id)) return;
+        seenEventIds.add(id);
       }
 
-      // Decode chunk and add to buffer
-      buffer += decoder.decode(value, { stream: true });
-
-      // Process complete lines
-      const lines = buffer.split('\n');
-      buffer = lines.pop(); // Keep incomplete line in buffer
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6); // Remove "data: " prefix
-
-          if (data.trim()) {
-            try {
-              const event = JSON.parse(data);
-              onEvent(event);
-
-              // If done event, stop reading
-              if (event.type === 'done') {
-                reader.cancel();
-                return;
-              }
-            } catch (parseError) {
-              console.error('Failed to parse SSE event:', parseError, data);
-            }
-          }
+      if (!data.trim()) return;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (parseError) {
+        // Named events may carry plain-text data
+        if (type === 'message') {
+          console.error('Failed to parse SSE event:', parseError, data);
+          return;
         }
+        event = { type, data };
       }
+
+      // Named events without a type in the payload take the SSE event name
+      if (type !== 'message' && (event === null || typeof event !== 'object' || !event.type)) {
+        event = { type, data: event };
+      }
+
+      onEvent(event);
+
+      // If done event, stop reading
+      if (event.type === 'done') {
+        finished = true;
+      }
+    });
+
+    // Entity references are only sent when the user picked some
+    const payload = entities.length > 0 ? { question, history, entities } : { question, history };
+    let resumeAttempts = 0;
+
+    while (!finished) {
+      try {
+        await readEventStream(payload, parser, controller, () => finished);
+      } catch (error) {
+        // Cancelled streams and non-network failures are not resumed
+        if (error.name === 'AbortError' || !(error instanceof TypeError)) {
+          throw error;
+        }
+        console.warn('Stream connection lost:', error.message);
+      }
+
+      if (finished) break;
+
+      // Resuming needs an event ID, otherwise the answer would restart and duplicate tokens
+      if (!parser.lastEventId) {
+        throw new Error('Stream ended before the answer was complete');
+      }
+
+      resumeAttempts++;
+      if (resumeAttempts > STREAM_CONFIG.maxResumeAttempts) {
+        throw new Error(`Stream interrupted after ${STREAM_CONFIG.maxResumeAttempts} resume attempts`);
+      }
+
+      const delay = parser.retry ?? STREAM_CONFIG.resumeDelay;
+      if (onRetry) {
+        onRetry(resumeAttempts, delay, 'Reconnecting...');
+      }
+
+      // Stop ends the wait right away (the server's retry delay may be long)
+      await waitForRetry(delay, controller.signal);
+
+      parser.reset();
     }
 
   } catch (error) {
@@ -203,6 +281,68 @@ export async function askQuestionStream(question, onEvent, onError, onRetry) {
       onError(error);
     }
   } finally {
-    currentStreamController = null;
+    // Only clear the controller if a newer stream hasn't replaced it
+    if (currentStreamController === controller) {
+      currentStreamController = null;
+    }
+  }
+}
+
+/**
+ * Open (or resume) the chat stream and feed it to the parser until it closes
+ * Sends Last-Event-ID when resuming so the server continues after the last received event
+ * @param {object} payload - Request body {question, history, entities?}
+ * @param {object} parser - SSE parser from createSSEParser
+ * @param {AbortController} controller - Controller of the current stream
+ * @param {function} isFinished - Returns true once the done event was received
+ */
+async function readEventStream(payload, parser, controller, isFinished) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Accept': 'text/event-stream'
+  };
+  if (parser.lastEventId) {
+    headers['Last-Event-ID'] = parser.lastEventId;
+  }
+
+  const response = await fetch(`${API_BASE}/api/chat/stream`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload),
+    signal: controller.signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Stream failed: ${response.status} ${response.statusText}`);
   }
+
+  // Read the SSE stream
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  while (!isFinished()) {
+    const { done, value } = await reader.read();
+
+    if (done) {
+      return;
+    }
+
+    parser.feed(decoder.decode(value, { stream: true }));
+  }
+
+  // Done event received, stop reading (the connection may already be gone)
+  await reader.cancel().catch(() => {});
+}
+
+/**
+ * Cancel the in-flight question stream, if any
+ * The stream ends quietly (onError is not called)
+ * @returns {boolean} True if a stream was cancelled
+ */
+export function cancelStream() {
+  if (!currentStreamController) return false;
+
+  currentStreamController.abort();
+  currentStreamController = null;
+  return true;
 }
@@ -0,0 +1,206 @@
+/**
+ * Response Cache
+ * Caches GET responses of read endpoints with per-endpoint TTLs, shares in-flight
+ * requests, persists entries across reloads and serves stale data while revalidating
+ */
+
+import { fetchWithRetry } from './api.js';
+import { API_BASE, CACHE_CONFIG } from './config.js';
+import { SYNC_EVENT } from './sync.js';
+
+// Cached responses by URL: {data, time}
+let entries = null;
+
+// Requests currently on the wire by URL, shared by concurrent callers
+const inFlight = new Map();
+
+let persistTimer = null;
+
+/**
+ * Invalidate cached data when a sync brings in new articles
+ * Call this once on page load
+ */
+export function initCache() {
+  window.addEventListener(SYNC_EVENT, (e) => {
+    if (e.detail && e.detail.new_articles > 0) {
+      invalidateCache();
+    }
+  });
+}
+
+/**
+ * Fetch JSON from a read endpoint through the cache
+ * Fresh entries are returned as is. Stale entries are returned immediately and
+ * refreshed in the background; onRevalidate is called if the data changed.
+ * @param {string} path - API path including the query string (e.g. "/api/trends/topics?days=7")
+ * @param {object} options - { onRevalidate(data) } called with newer data after a stale hit
+ * @returns {Promise<object>} Parsed JSON response
+ */
+export async function cachedFetch(path, { onRevalidate = null } = {}) {
+  const url = API_BASE + path;
+  const entry = getEntries().get(url);
+
+  if (entry) {
+    if (Date.now() - entry.time < ttlFor(path)) {
+      return entry.data;
+    }
+
+    // Stale: render what we have, refresh in the background
+    fetchAndStore(url)
+      .then(async (data) => {
+        if (onRevalidate && JSON.stringify(data) !== JSON.stringify(entry.data)) {
+          // Re-renders may fail (and report it themselves); don't leave the rejection unhandled
+          try {
+            await onRevalidate(data);
+          } catch (error) {
+            console.warn('Update after background refresh failed:', path, error.message);
+          }
+        }
+      })
+      .catch(error => console.warn('Background refresh failed:', path, error.message));
+    return entry.data;
+  }
+
+  return fetchAndStore(url);
+}
+
+/**
+ * Fetch JSON from a read endpoint, skipping any cached copy
+ * For checks that must see current data; the response still refreshes the cache
+ * @param {string} path - API path including the query string
+ * @returns {Promise<object>} Parsed JSON response
+ */
+export function fetchFresh(path) {
+  return fetchAndStore(API_BASE + path);
+}
+
+/**
+ * Drop cached responses
+ * Requests in flight for the dropped URLs are forgotten too: their callers still get the
+ * data, but it isn't stored, and later calls start a new request
+ * @param {function} predicate - Optional callback(url) selecting entries to drop; all if omitted
+ */
+export function invalidateCache(predicate = null) {
+  const cache = getEntries();
+  for (const url of Array.from(cache.keys())) {
+    if (!predicate || predicate(url)) {
+      cache.delete(url);
+    }
+  }
+  for (const url of Array.from(inFlight.keys())) {
+    if (!predicate || predicate(url)) {
+      inFlight.delete(url);
+    }
+  }
+  schedulePersist();
+}
+
+/**
+ * Fetch a URL (sharing any request already in flight) and store the response
+ * @param {string} url - Full URL
+ * @returns {Promise<object>} Parsed JSON response
+ */
+function fetchAndStore(url) {
+  if (inFlight.has(url)) {
+    return inFlight.get(url);
+  }
+
+  const request = fetchWithRetry(url)
+    .then(async (response) => {
+      if (!response.ok) {
+        throw new Error(`Request failed: ${response.status}`);
+      }
+      const data = await response.json();
+
+      // Invalidated while in flight: the response may predate the change
+      if (inFlight.get(url) !== request) {
+        return data;
+      }
+
+      const cache = getEntries();
+      // Re-insert so the Map stays ordered from oldest to newest
+      cache.delete(url);
+      cache.set(url, { data, time: Date.now() });
+      evictOldest(cache);
+      schedulePersist();
+
+      return data;
+    })
+    .finally(() => {
+      // A newer request may have replaced this one after an invalidation
+      if (inFlight.get(url) === request) {
+        inFlight.delete(url);
+      }
+    });
+
+  inFlight.set(url, request);
+  return request;
+}
+
+/**
+ * TTL for an API path from the per-endpoint rules
+ * @param {string} path - API path
+ * @returns {number} TTL in milliseconds
+ */
+function ttlFor(path) {
+  const rule = CACHE_CONFIG.ttls.find(({ pattern }) => pattern.test(path));
+  return rule ? rule.ttl : CACHE_CONFIG.defaultTtl;
+}
+
+/**
+ * Cache entries, loaded from localStorage on first use
+ * @returns {Map} Entries by URL, oldest first
+ */
+function getEntries() {
+  if (entries) return entries;
+
+  entries = new Map();
+  try {
+    const stored = JSON.parse(localStorage.getItem(CACHE_CONFIG.storageKey) || '[]');
+    stored
+      .sort((a, b) => a.time - b.time)
+      .forEach(({ url, data, time }) => entries.set(url, { data, time }));
+  } catch (error) {
+    // Corrupt or unavailable storage: start empty
+    console.warn('Could not load response cache:', error.message);
+  }
+  return entries;
+}
+
+/**
+ * Evict the oldest entries beyond the configured maximum
+ * @param {Map} cache - Entries by URL, oldest first
+ */
+function evictOldest(cache) {
+  while (cache.size > CACHE_CONFIG.maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Write the cache to localStorage shortly after the last change
+ */
+function schedulePersist() {
+  clearTimeout(persistTimer);
+  persistTimer = setTimeout(persist, 500);
+}
+
+/**
+ * Write the cache to localStorage, dropping the oldest half if storage is full
+ */
+function persist() {
+  const cache = getEntries();
+  const serialize = () => JSON.stringify(Array.from(cache.entries()).map(([url, { data, time }]) => ({ url, data, time })));
+
+  try {
+    localStorage.setItem(CACHE_CONFIG.storageKey, serialize());
+  } catch (error) {
+    try {
+      const dropCount = Math.ceil(cache.size / 2);
+      Array.from(cache.keys()).slice(0, dropCount).forEach(url => cache.delete(url));
+      localStorage.setItem(CACHE_CONFIG.storageKey, serialize());
+    } catch (retryError) {
+      console.warn('Could not persist response cache:', retryError.message);
+    }
+  }
+}
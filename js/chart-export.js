@@ -0,0 +1,200 @@
+/**
+ * Chart Export
+ * Adds an export menu to every Chart.js chart: a presentation-size PNG with a title
+ * and caption, the same image copied to the clipboard, or the chart data as CSV
+ *
+ * Charts can set options.plugins.chartExport = { title, caption } to name the image
+ * and describe its date range; otherwise the chart title is used
+ */
+
+import { showExportMenu, downloadFile, slugify } from './export.js';
+
+// Chart export menu entries
+const CHART_EXPORT_FORMATS = {
+  png: { label: 'Download PNG' },
+  clipboard: { label: 'Copy image' },
+  csv: { label: 'Download data (.csv)' }
+};
+
+// Exported image layout in CSS pixels, drawn at EXPORT_SCALE (1920x1080 image)
+const EXPORT_LAYOUT = { width: 960, height: 540, padding: 24, header: 56, footer: 32 };
+const EXPORT_SCALE = 2;
+
+// Registered globally in charts.js so each chart gets its own export button
+export const chartExportPlugin = {
+  id: 'chartExport',
+  afterInit(chart) {
+    const container = chart.canvas.parentElement;
+    if (!container) return;
+
+    const canvasKey = chart.canvas.id || String(chart.id);
+    container.querySelector(`[data-chart-export="${canvasKey}"]`)?.remove();
+    container.classList.add('relative');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.chartExport = canvasKey;
+    button.className = 'absolute top-1 right-1 z-10 px-2 py-0.5 text-xs rounded glass glass-hover cursor-pointer';
+    button.style.color = 'var(--text-secondary)';
+    button.setAttribute('aria-label', 'Export chart');
+    button.setAttribute('aria-haspopup', 'menu');
+    button.textContent = 'Export';
+    button.addEventListener('click', () => {
+      showExportMenu(button, (format) => exportChart(chart, format, button), CHART_EXPORT_FORMATS);
+    });
+    container.appendChild(button);
+  },
+  afterDestroy(chart) {
+    const canvasKey = chart.canvas.id || String(chart.id);
+    chart.canvas.parentElement?.querySelector(`[data-chart-export="${canvasKey}"]`)?.remove();
+  }
+};
+
+/**
+ * Export a chart in the chosen format
+ * @param {Chart} chart - Chart.js instance
+ * @param {string} format - 'png', 'clipboard' or 'csv'
+ * @param {HTMLElement} button - Export button, used for copy feedback
+ */
+async function exportChart(chart, format, button) {
+  const { title, caption } = exportDetails(chart);
+  const filename = `${slugify(title, 'chart')}-${new Date().toISOString().slice(0, 10)}`;
+
+  if (format === 'csv') {
+    downloadFile(`${filename}.csv`, chartToCsv(chart), 'text/csv');
+    return;
+  }
+
+  if (format === 'png') {
+    try {
+      downloadFile(`${filename}.png`, await renderExportImage(chart, { title, caption }));
+    } catch (error) {
+      console.error('Failed to export chart image:', error);
+    }
+    return;
+  }
+
+  // Pass the pending image so the copy still counts as part of the click
+  try {
+    await navigator.clipboard.write([
+      new ClipboardItem({ 'image/png': renderExportImage(chart, { title, caption }) })
+    ]);
+    button.textContent = 'Copied!';
+  } catch (error) {
+    console.error('Failed to copy chart image:', error);
+    button.textContent = 'Copy failed';
+  }
+  setTimeout(() => { button.textContent = 'Export'; }, 1500);
+}
+
+/**
+ * Title and caption of an exported chart
+ * @param {Chart} chart - Chart.js instance
+ * @returns {object} {title, caption}
+ */
+function exportDetails(chart) {
+  const plugins = chart.config.options.plugins || {};
+  const details = plugins.chartExport || {};
+  const chartTitle = plugins.title && plugins.title.text;
+
+  const title = details.title
+    || (Array.isArray(chartTitle) ? chartTitle.join(' ') : chartTitle)
+    || chart.canvas.getAttribute('aria-label')
+    || 'Chart';
+  const exported = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  const caption = [details.caption, 'Blockwall Knowledge Hub', `Exported ${exported}`].filter(Boolean).join(' · ');
+
+  return { title, caption };
+}
+
+/**
+ * Draw a chart at presentation size with a title above and a caption below
+ * The chart is redrawn on an offscreen canvas, so the page's chart is left as it is
+ * @param {Chart} chart - Chart.js instance
+ * @param {object} text - { title, caption }
+ * @returns {Promise<Blob>} PNG image
+ */
+function renderExportImage(chart, { title, caption }) {
+  const { width, height, padding, header, footer } = EXPORT_LAYOUT;
+  const plotWidth = width - padding * 2;
+  const plotHeight = height - header - footer;
+
+  // Redraw a copy without its own title (the image gets a larger one) or export button
+  const plotCanvas = document.createElement('canvas');
+  plotCanvas.width = plotWidth;
+  plotCanvas.height = plotHeight;
+  const { type, data, options, plugins } = chart.config;
+  const copy = new Chart(plotCanvas, {
+    type,
+    data: {
+      labels: [...(data.labels || [])],
+      datasets: data.datasets.map(dataset => ({ ...dataset, data: [...dataset.data] }))
+    },
+    options: {
+      ...options,
+      responsive: false,
+      animation: false,
+      devicePixelRatio: EXPORT_SCALE,
+      plugins: { ...options.plugins, title: { display: false }, chartExport: false }
+    },
+    plugins
+  });
+
+  const image = document.createElement('canvas');
+  image.width = width * EXPORT_SCALE;
+  image.height = height * EXPORT_SCALE;
+  const ctx = image.getContext('2d');
+  ctx.scale(EXPORT_SCALE, EXPORT_SCALE);
+
+  // Page background (the live charts are drawn on a transparent canvas)
+  ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-deep').trim() || '#0a0a0f';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#e8e6e3';
+  ctx.font = "bold 22px 'Playfair Display', Georgia, serif";
+  ctx.fillText(title, padding, header / 2 + 4, plotWidth);
+
+  ctx.drawImage(plotCanvas, padding, header, plotWidth, plotHeight);
+  copy.destroy();
+
+  ctx.fillStyle = '#8a8578';
+  ctx.font = '12px Inter, system-ui, sans-serif';
+  ctx.fillText(caption, padding, height - footer / 2, plotWidth);
+
+  return new Promise((resolve, reject) => {
+    image.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png');
+  });
+}
+
+/**
+ * The chart's data as CSV: one row per label, one column per dataset
+ * @param {Chart} chart - Chart.js instance
+ * @returns {string} CSV text
+ */
+function chartToCsv(chart) {
+  const { labels = [], datasets = [] } = chart.config.data;
+
+  const header = ['Label', ...datasets.map((dataset, i) => dataset.label || (datasets.length === 1 ? 'Value' : `Series ${i + 1}`))];
+  const rows = labels.map((label, i) => [
+    Array.isArray(label) ? label.join(' ') : label,
+    ...datasets.map(dataset => {
+      const value = dataset.data[i];
+      // Point data ({x, y}) exports its y value
+      return value !== null && typeof value === 'object' ? value.y : value;
+    })
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+/**
+ * Quote a CSV field when it contains a comma, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
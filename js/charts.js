@@ -3,67 +3,312 @@
  * Renders trending topics and sentiment visualizations
  */
 
-import { fetchWithRetry } from './api.js';
-import { API_BASE } from './config.js';
+import { cachedFetch } from './cache.js';
+import { formatDate, formatCurrency, escapeHtml } from './utils.js';
+import { getSyncHistory } from './sync.js';
+import { periodChange, findEmergingTopics } from './stats.js';
+import { EMERGING_TOPICS_CONFIG } from './config.js';
+import { chartExportPlugin } from './chart-export.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Topics shown on the trending topics chart
+const TOP_TOPICS = 10;
+
+// Topics fetched per window, so topics outside the top 10 still count towards deltas and emerging detection
+const TOPIC_FETCH_LIMIT = 50;
+
+// Sentiment series drawn on the timeline (RGB components, bottom of the stack first)
+const SENTIMENT_SERIES = [
+  { key: 'bullish', label: 'Bullish', rgb: '34, 197, 94' },
+  { key: 'neutral', label: 'Neutral', rgb: '156, 163, 175' },
+  { key: 'bearish', label: 'Bearish', rgb: '239, 68, 68' }
+];
+
+// Funding rounds at or above this amount (USD millions) are marked on the sentiment timeline
+const MAJOR_FUNDING_AMOUNT = 50;
+
+// Marker colors on the sentiment timeline
+const MARKER_COLORS = { funding: '#d4a574', sync: '#60a5fa' };
+
+// Markers listed below the sentiment timeline
+const MAX_LISTED_MARKERS = 8;
+
+// Draws dashed vertical lines for the markers in options.plugins.timelineMarkers.markers
+const timelineMarkersPlugin = {
+  id: 'timelineMarkers',
+  afterDatasetsDraw(chart, args, options) {
+    const markers = (options && options.markers) || [];
+    const { ctx, chartArea, scales } = chart;
+
+    ctx.save();
+    markers.forEach(marker => {
+      const x = scales.x.getPixelForValue(marker.index);
+      ctx.strokeStyle = MARKER_COLORS[marker.type];
+      ctx.fillStyle = MARKER_COLORS[marker.type];
+      ctx.lineWidth = 1;
+
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.stroke();
+
+      // Small flag at the top of the line
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(x - 5, chartArea.top);
+      ctx.lineTo(x + 5, chartArea.top);
+      ctx.lineTo(x, chartArea.top + 7);
+      ctx.closePath();
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+};
 
 // Chart instance management to prevent memory leaks
 const chartInstances = {};
 
+// Latest render request per canvas; older responses are dropped
+const renderTokens = {};
+
 // Set global Chart.js defaults for dark theme
 Chart.defaults.color = '#e8e6e3';
 
+// Export menu (PNG, clipboard, CSV) on every chart
+Chart.register(chartExportPlugin);
+
+/**
+ * Describe a time window for chart titles
+ * @param {object} range - {days} or {start, end} (YYYY-MM-DD, end inclusive)
+ * @returns {string} e.g. "Last 24 Hours", "Last 30 Days" or "Sep 1 – Sep 30, 2026"
+ */
+export function windowLabel(range) {
+  if (range.start && range.end) {
+    const format = (date, options) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', options);
+    const sameYear = range.start.slice(0, 4) === range.end.slice(0, 4);
+    const startText = format(range.start, sameYear ? { month: 'short', day: 'numeric' } : { month: 'short', day: 'numeric', year: 'numeric' });
+    return `${startText} – ${format(range.end, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+  return range.days === 1 ? 'Last 24 Hours' : `Last ${range.days} Days`;
+}
+
+/**
+ * Query parameters selecting a time window on the trends and article endpoints
+ * Custom ranges cover whole local days
+ * @param {object} range - {days} or {start, end} (YYYY-MM-DD, end inclusive)
+ * @returns {URLSearchParams} Query parameters
+ */
+export function windowParams(range) {
+  if (range.start && range.end) {
+    const { start, end } = windowBounds(range);
+    return new URLSearchParams({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+  }
+  return new URLSearchParams({ days: String(range.days) });
+}
+
+/**
+ * Start and end of a time window
+ * @param {object} range - {days} or {start, end} (YYYY-MM-DD, end inclusive)
+ * @returns {object} {start, end} timestamps (ms); end is exclusive
+ */
+function windowBounds(range) {
+  if (range.start && range.end) {
+    const end = new Date(`${range.end}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    return { start: new Date(`${range.start}T00:00:00`).getTime(), end: end.getTime() };
+  }
+  const now = Date.now();
+  return { start: now - range.days * DAY_MS, end: now };
+}
+
 /**
- * Render the trending topics horizontal bar chart
+ * Query parameters for a time window and the equal-length windows just before it
+ * Preset windows end now, so all bounds are rounded down to the hour to keep the requests
+ * cacheable; the windows stay back to back so no articles fall between them
+ * @param {object} range - {days} or {start, end} (YYYY-MM-DD, end inclusive)
+ * @param {number} count - Number of earlier windows
+ * @returns {Array<URLSearchParams>} Query parameters: the window itself, then earlier windows, most recent first
  */
-export async function renderTrendingTopicsChart() {
+function comparisonWindowParams(range, count) {
+  let { start, end } = windowBounds(range);
+  if (!(range.start && range.end)) {
+    const hourMs = DAY_MS / 24;
+    end = Math.floor(end / hourMs) * hourMs;
+    start = end - range.days * DAY_MS;
+  }
+
+  const length = end - start;
+  return Array.from({ length: count + 1 }, (_, i) => new URLSearchParams({
+    start: new Date(start - i * length).toISOString(),
+    end: new Date(end - i * length).toISOString()
+  }));
+}
+
+/**
+ * Show a loading, empty or error state over a chart, or clear it
+ * The canvas is kept so the chart can be drawn again for another range
+ * @param {string} canvasId - Canvas element ID
+ * @param {string} state - 'loading', 'empty', 'error' or 'ready'
+ * @param {string} message - Text for the empty and error states
+ */
+function setChartState(canvasId, state, message = '') {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas || !canvas.parentElement) return;
+
+  const container = canvas.parentElement;
+  let overlay = container.querySelector('.chart-state');
+
+  if (state === 'ready') {
+    if (overlay) overlay.remove();
+    canvas.classList.remove('invisible', 'opacity-40');
+    return;
+  }
+
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'chart-state absolute inset-0 flex items-center justify-center p-6 text-center text-sm';
+    container.classList.add('relative');
+    container.appendChild(overlay);
+  }
+
+  if (state === 'loading') {
+    // Keep the previous chart visible (dimmed) while the new range loads
+    canvas.classList.add('opacity-40');
+    overlay.innerHTML = `
+      <span class="flex items-center gap-2 text-gray-400">
+        <svg class="animate-spin h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" aria-hidden="true">
+          <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
+          <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+        </svg>
+        Loading...
+      </span>
+    `;
+    return;
+  }
+
+  // Empty and error states replace the chart
+  if (chartInstances[canvasId]) {
+    chartInstances[canvasId].destroy();
+    delete chartInstances[canvasId];
+  }
+  container.querySelector('.sentiment-summary')?.remove();
+  canvas.classList.add('invisible');
+  canvas.classList.remove('opacity-40');
+  overlay.innerHTML = `<p class="${state === 'error' ? 'text-red-400' : 'text-gray-400'}">${escapeHtml(message)}</p>`;
+}
+
+/**
+ * Render the trending topics horizontal bar chart against the previous period,
+ * and the emerging topics list below it
+ * @param {object} range - Time window: {days} or {start, end} (YYYY-MM-DD, end inclusive)
+ * @param {function} onTopicClick - Callback(topic) when a topic's bar or emerging topic is clicked
+ */
+export async function renderTrendingTopicsChart(range = { days: 7 }, onTopicClick = null) {
+  const canvasId = 'trending-topics-chart';
+  const token = (renderTokens[canvasId] || 0) + 1;
+  renderTokens[canvasId] = token;
+  setChartState(canvasId, 'loading');
+
   try {
-    // Fetch trending topics data
-    const response = await fetchWithRetry(API_BASE + '/api/trends/topics?days=7&limit=10');
-    const data = await response.json();
+    // Fetch the window and the earlier windows of the same length: the first one
+    // gives the period-over-period deltas, all of them the emerging topics baseline
+    // Cached data renders instantly; a background refresh re-renders with newer data
+    const windows = comparisonWindowParams(range, EMERGING_TOPICS_CONFIG.baselineWindows);
+    const responses = await Promise.all(windows.map(params => {
+      params.set('limit', String(TOPIC_FETCH_LIMIT));
+      return cachedFetch(`/api/trends/topics?${params}`, {
+        onRevalidate: () => {
+          if (renderTokens[canvasId] === token) renderTrendingTopicsChart(range, onTopicClick);
+        }
+      });
+    }));
+
+    // A newer range was picked while loading
+    if (renderTokens[canvasId] !== token) return;
+
+    const [current, ...baselines] = responses.map(data => Object.fromEntries(
+      (data.topics || []).map(t => [t.topic, t.articles])
+    ));
+
+    // Windows without any articles (e.g. before the data starts) say nothing about a
+    // topic's usual volume, so they are left out of the baseline
+    const baselinesWithData = baselines.filter(counts => Object.keys(counts).length > 0);
+    renderEmergingTopics(findEmergingTopics(current, baselinesWithData, EMERGING_TOPICS_CONFIG), onTopicClick);
+
+    const topics = (responses[0].topics || []).slice(0, TOP_TOPICS).map(t => ({
+      ...t,
+      previous: baselines[0][t.topic] || 0,
+      ...periodChange(t.articles, baselines[0][t.topic] || 0)
+    }));
 
     // Handle empty state
-    if (!data.topics || data.topics.length === 0) {
-      const canvas = document.getElementById('trending-topics-chart');
-      if (canvas && canvas.parentElement) {
-        canvas.parentElement.innerHTML = '<p class="text-center text-gray-400 py-12">No trending data available</p>';
-      }
+    if (topics.length === 0) {
+      setChartState(canvasId, 'empty', `No trending data (${windowLabel(range)})`);
       return;
     }
 
     // Get canvas element
-    const ctx = document.getElementById('trending-topics-chart');
+    const ctx = document.getElementById(canvasId);
     if (!ctx) {
       console.error('Canvas element #trending-topics-chart not found');
       return;
     }
+    setChartState(canvasId, 'ready');
 
     // Destroy existing chart instance if exists
     if (chartInstances['trending-topics-chart']) {
       chartInstances['trending-topics-chart'].destroy();
     }
 
-    // Create horizontal bar chart
+    // Create horizontal bar chart, grouping each topic's bar with the previous period
     chartInstances['trending-topics-chart'] = new Chart(ctx, {
       type: 'bar',
       data: {
-        labels: data.topics.map(t => t.topic),
+        labels: topics.map(t => t.topic),
         datasets: [{
-          label: 'Articles',
-          data: data.topics.map(t => t.articles),
+          label: 'This period',
+          data: topics.map(t => t.articles),
           backgroundColor: 'rgba(212, 165, 116, 0.6)',
           borderColor: '#d4a574',
           borderWidth: 1
+        }, {
+          label: 'Previous period',
+          data: topics.map(t => t.previous),
+          backgroundColor: 'rgba(138, 133, 120, 0.35)',
+          borderColor: '#8a8578',
+          borderWidth: 1
         }]
       },
       options: {
         indexAxis: 'y',
         responsive: true,
         maintainAspectRatio: false,
+        // Clicking anywhere in a topic's row selects it
+        interaction: { mode: 'index', axis: 'y', intersect: false },
+        onClick: (event, elements) => {
+          if (elements.length > 0 && onTopicClick) {
+            onTopicClick(topics[elements[0].index].topic);
+          }
+        },
+        onHover: (event, elements) => {
+          event.native.target.style.cursor = elements.length > 0 && onTopicClick ? 'pointer' : 'default';
+        },
         plugins: {
-          legend: { display: false },
+          legend: {
+            position: 'bottom',
+            labels: { color: '#8a8578', boxWidth: 12 }
+          },
+          tooltip: {
+            callbacks: {
+              footer: (items) => `Change: ${formatChange(topics[items[0].dataIndex])}`
+            }
+          },
+          chartExport: { title: `Top ${TOP_TOPICS} Trending Topics`, caption: `${windowLabel(range)} vs previous period` },
           title: {
             display: true,
-            text: 'Top 10 Trending Topics (Last 7 Days)',
+            text: `Top ${TOP_TOPICS} Trending Topics (${windowLabel(range)})`,
             color: '#e8e6e3',
             font: { size: 14, weight: 'bold', family: "'Playfair Display', Georgia, serif" }
           }
@@ -75,7 +320,11 @@ export async function renderTrendingTopicsChart() {
             grid: { color: 'rgba(255, 255, 255, 0.05)' }
           },
           y: {
-            ticks: { color: '#8a8578' },
+            // Topic name with its change on a second line
+            ticks: {
+              color: '#8a8578',
+              callback: (value, index) => [topics[index].topic, formatChange(topics[index])]
+            },
             grid: { display: false }
           }
         }
@@ -85,25 +334,90 @@ export async function renderTrendingTopicsChart() {
     console.log('Trending topics chart rendered');
   } catch (error) {
     console.error('Failed to render trending topics chart:', error);
+    if (renderTokens[canvasId] === token) {
+      setChartState(canvasId, 'error', `Failed to load trending topics: ${error.message}`);
+      const list = document.getElementById('emerging-topics');
+      if (list) list.innerHTML = '<li class="text-red-400">Failed to load emerging topics</li>';
+    }
     throw error;
   }
 }
 
+/**
+ * Describe a topic's change against the previous period
+ * @param {object} topic - {change, percent}
+ * @returns {string} e.g. "+12 (+40%)", "-3 (-20%)", "+4 (new)" or "no change"
+ */
+function formatChange({ change, percent }) {
+  if (change === 0) return 'no change';
+  const sign = change > 0 ? '+' : '';
+  const relative = percent === null ? 'new' : `${sign}${Math.round(percent)}%`;
+  return `${sign}${change} (${relative})`;
+}
+
+/**
+ * Render the emerging topics list
+ * @param {Array} emerging - Emerging topics {topic, articles, baseline, zScore}
+ * @param {function} onTopicClick - Callback(topic) when a topic is clicked
+ */
+function renderEmergingTopics(emerging, onTopicClick) {
+  const list = document.getElementById('emerging-topics');
+  if (!list) return;
+
+  const rule = document.getElementById('emerging-topics-rule');
+  if (rule) {
+    const { zThreshold, minArticles, baselineWindows } = EMERGING_TOPICS_CONFIG;
+    rule.textContent = `Topics with at least ${minArticles} articles and a volume ${zThreshold} or more standard deviations above their average over the previous ${baselineWindows} periods of the same length (periods without articles are skipped)`;
+  }
+
+  if (emerging.length === 0) {
+    list.innerHTML = '<li class="text-gray-500">No topic is well above its recent baseline.</li>';
+    return;
+  }
+
+  list.innerHTML = emerging.map(t => `
+    <li>
+      <button type="button" data-emerging-topic="${escapeHtml(t.topic)}" class="w-full flex flex-wrap justify-between gap-2 px-3 py-2 rounded glass glass-hover text-left ${onTopicClick ? 'cursor-pointer' : 'cursor-default'}">
+        <span class="font-semibold" style="color: var(--gold);">&#9650; ${escapeHtml(t.topic)}</span>
+        <span style="color: var(--text-secondary);">
+          ${t.articles} articles vs ${t.baseline.toFixed(1)} avg &middot; z = ${t.zScore.toFixed(1)}
+        </span>
+      </button>
+    </li>
+  `).join('');
+
+  if (onTopicClick) {
+    list.querySelectorAll('[data-emerging-topic]').forEach(button => {
+      button.addEventListener('click', () => onTopicClick(button.dataset.emergingTopic));
+    });
+  }
+}
+
 /**
  * Render the sentiment distribution doughnut chart
+ * @param {object} range - Time window: {days} or {start, end} (YYYY-MM-DD, end inclusive)
+ * @param {function} onSentimentClick - Callback(sentiment) when a slice is clicked ('bullish', 'neutral', 'bearish')
  */
-export async function renderSentimentChart() {
+export async function renderSentimentChart(range = { days: 7 }, onSentimentClick = null) {
+  const canvasId = 'sentiment-chart';
+  const token = (renderTokens[canvasId] || 0) + 1;
+  renderTokens[canvasId] = token;
+  setChartState(canvasId, 'loading');
+
   try {
     // Fetch sentiment data
-    const response = await fetchWithRetry(API_BASE + '/api/trends/sentiment?days=7');
-    const data = await response.json();
+    const data = await cachedFetch(`/api/trends/sentiment?${windowParams(range)}`, {
+      onRevalidate: () => {
+        if (renderTokens[canvasId] === token) renderSentimentChart(range, onSentimentClick);
+      }
+    });
+
+    // A newer range was picked while loading
+    if (renderTokens[canvasId] !== token) return;
 
     // Handle empty state
     if (!data.total_articles || data.total_articles === 0 || !data.breakdown || data.breakdown.length === 0) {
-      const canvas = document.getElementById('sentiment-chart');
-      if (canvas && canvas.parentElement) {
-        canvas.parentElement.innerHTML = '<p class="text-center text-gray-400 py-12">No sentiment data available</p>';
-      }
+      setChartState(canvasId, 'empty', `No sentiment data (${windowLabel(range)})`);
       return;
     }
 
@@ -117,18 +431,20 @@ export async function renderSentimentChart() {
     });
 
     // Get canvas element
-    const ctx = document.getElementById('sentiment-chart');
+    const ctx = document.getElementById(canvasId);
     if (!ctx) {
       console.error('Canvas element #sentiment-chart not found');
       return;
     }
+    setChartState(canvasId, 'ready');
 
     // Destroy existing chart instance if exists
     if (chartInstances['sentiment-chart']) {
       chartInstances['sentiment-chart'].destroy();
     }
 
-    // Create doughnut chart
+    // Create doughnut chart (slices in the order of sentimentKeys)
+    const sentimentKeys = ['bullish', 'neutral', 'bearish'];
     chartInstances['sentiment-chart'] = new Chart(ctx, {
       type: 'doughnut',
       data: {
@@ -147,6 +463,14 @@ export async function renderSentimentChart() {
       options: {
         responsive: true,
         maintainAspectRatio: false,
+        onClick: (event, elements) => {
+          if (elements.length > 0 && onSentimentClick) {
+            onSentimentClick(sentimentKeys[elements[0].index]);
+          }
+        },
+        onHover: (event, elements) => {
+          event.native.target.style.cursor = elements.length > 0 && onSentimentClick ? 'pointer' : 'default';
+        },
         plugins: {
           legend: {
             position: 'bottom',
@@ -158,10 +482,11 @@ export async function renderSentimentChart() {
           },
           title: {
             display: true,
-            text: 'Sentiment Distribution (Last 7 Days)',
+            text: `Sentiment Distribution (${windowLabel(range)})`,
             color: '#e8e6e3',
             font: { size: 14, weight: 'bold', family: "'Playfair Display', Georgia, serif" }
           },
+          chartExport: { title: 'Sentiment Distribution', caption: `${windowLabel(range)} · ${data.total_articles} articles` },
           tooltip: {
             callbacks: {
               label: function(context) {
@@ -201,6 +526,371 @@ export async function renderSentimentChart() {
     console.log('Sentiment chart rendered');
   } catch (error) {
     console.error('Failed to render sentiment chart:', error);
+    if (renderTokens[canvasId] === token) {
+      setChartState(canvasId, 'error', `Failed to load sentiment: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Render bullish, neutral and bearish article counts over time as stacked areas
+ * Dashed markers show syncs run from this browser and major funding rounds
+ * @param {object} range - Time window: {days} or {start, end} (YYYY-MM-DD, end inclusive)
+ * @param {object} options - { interval: 'hour'|'day'|'week'|null (auto), normalized: show % of each bucket }
+ */
+export async function renderSentimentTimelineChart(range = { days: 7 }, { interval = null, normalized = false } = {}) {
+  const canvasId = 'sentiment-timeline-chart';
+  const token = (renderTokens[canvasId] || 0) + 1;
+  renderTokens[canvasId] = token;
+  setChartState(canvasId, 'loading');
+
+  try {
+    const bucket = interval || defaultInterval(range);
+    const params = windowParams(range);
+    params.set('interval', bucket);
+
+    const [data, markers] = await Promise.all([
+      cachedFetch(`/api/trends/sentiment/timeline?${params}`, {
+        onRevalidate: () => {
+          if (renderTokens[canvasId] === token) renderSentimentTimelineChart(range, { interval, normalized });
+        }
+      }),
+      loadTimelineMarkers(range)
+    ]);
+
+    // A newer range or option was picked while loading
+    if (renderTokens[canvasId] !== token) return;
+
+    const points = data.points || [];
+    const totals = points.map(point => SENTIMENT_SERIES.reduce((sum, series) => sum + (point[series.key] || 0), 0));
+
+    // Handle empty state
+    if (totals.every(total => total === 0)) {
+      setChartState(canvasId, 'empty', `No articles (${windowLabel(range)})`);
+      renderMarkerList([]);
+      return;
+    }
+
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) {
+      console.error('Canvas element #sentiment-timeline-chart not found');
+      return;
+    }
+    setChartState(canvasId, 'ready');
+
+    // Place each marker in the bucket it falls into
+    const bucketStarts = points.map(point => Date.parse(point.start));
+    const placedMarkers = markers
+      .map(marker => ({ ...marker, index: bucketIndex(bucketStarts, marker.time) }))
+      .filter(marker => marker.index >= 0);
+
+    // Destroy existing chart instance if exists
+    if (chartInstances[canvasId]) {
+      chartInstances[canvasId].destroy();
+    }
+
+    chartInstances[canvasId] = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: bucketStarts.map(time => bucketLabel(time, bucket)),
+        datasets: SENTIMENT_SERIES.map((series, seriesIndex) => {
+          const counts = points.map(point => point[series.key] || 0);
+          return {
+            label: series.label,
+            data: normalized ? counts.map((count, i) => (totals[i] > 0 ? (count / totals[i]) * 100 : 0)) : counts,
+            counts,
+            // Each band fills down to the series below it
+            fill: seriesIndex === 0 ? 'origin' : '-1',
+            backgroundColor: `rgba(${series.rgb}, 0.35)`,
+            borderColor: `rgb(${series.rgb})`,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            pointHitRadius: 6,
+            tension: 0.3
+          };
+        })
+      },
+      plugins: [timelineMarkersPlugin],
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: {
+            position: 'bottom',
+            labels: { color: '#e8e6e3', boxWidth: 12, font: { size: 12 } }
+          },
+          title: {
+            display: true,
+            text: `Sentiment Over Time (${windowLabel(range)})`,
+            color: '#e8e6e3',
+            font: { size: 14, weight: 'bold', family: "'Playfair Display', Georgia, serif" }
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => {
+                const count = context.dataset.counts[context.dataIndex];
+                const total = totals[context.dataIndex];
+                const pct = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+                return `${context.dataset.label}: ${count} (${pct}%)`;
+              },
+              footer: (items) => {
+                const index = items[0].dataIndex;
+                const markerLines = placedMarkers
+                  .filter(marker => marker.index === index)
+                  .map(marker => `▼ ${marker.text}`);
+                return [`Total: ${totals[index]}`, ...markerLines];
+              }
+            }
+          },
+          timelineMarkers: { markers: placedMarkers },
+          chartExport: { title: normalized ? 'Sentiment Over Time (% of articles)' : 'Sentiment Over Time', caption: windowLabel(range) }
+        },
+        scales: {
+          x: {
+            ticks: { color: '#8a8578', maxRotation: 0, autoSkip: true },
+            grid: { display: false }
+          },
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            max: normalized ? 100 : undefined,
+            ticks: {
+              color: '#8a8578',
+              precision: 0,
+              callback: (value) => (normalized ? `${value}%` : value)
+            },
+            grid: { color: 'rgba(255, 255, 255, 0.05)' }
+          }
+        }
+      }
+    });
+
+    renderMarkerList(placedMarkers);
+  } catch (error) {
+    console.error('Failed to render sentiment timeline chart:', error);
+    if (renderTokens[canvasId] === token) {
+      setChartState(canvasId, 'error', `Failed to load sentiment over time: ${error.message}`);
+      renderMarkerList([]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Bucket size for a window when none was chosen
+ * @param {object} range - {days} or {start, end}
+ * @returns {string} 'hour' up to two days, 'day' up to 45 days, otherwise 'week'
+ */
+function defaultInterval(range) {
+  const { start, end } = windowBounds(range);
+  const days = (end - start) / DAY_MS;
+  if (days <= 2) return 'hour';
+  return days <= 45 ? 'day' : 'week';
+}
+
+/**
+ * X axis label for a bucket
+ * Buckets are UTC (markers are placed by absolute time, so they land in the matching bucket)
+ * @param {number} time - Bucket start (ms)
+ * @param {string} interval - 'hour', 'day' or 'week'
+ * @returns {string} e.g. "3 PM", "Oct 19"
+ */
+function bucketLabel(time, interval) {
+  const date = new Date(time);
+  if (interval === 'hour') {
+    return date.toLocaleTimeString('en-US', { hour: 'numeric' });
+  }
+  // Day and week buckets start at UTC midnight; local time would show the previous day west of UTC
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Index of the bucket containing a time
+ * @param {Array<number>} bucketStarts - Bucket start times (ms), ascending
+ * @param {number} time - Time (ms)
+ * @returns {number} Bucket index, or -1 if the time is before the first bucket
+ */
+function bucketIndex(bucketStarts, time) {
+  let index = -1;
+  bucketStarts.forEach((start, i) => {
+    if (start <= time) index = i;
+  });
+  return index;
+}
+
+/**
+ * Collect the markers in a window: syncs that brought in articles and major funding rounds
+ * Funding markers are skipped if the funding endpoint fails
+ * @param {object} range - {days} or {start, end}
+ * @returns {Promise<Array>} Markers {type, time, text}, oldest first
+ */
+async function loadTimelineMarkers(range) {
+  const { start, end } = windowBounds(range);
+  const inWindow = (time) => time >= start && time < end;
+  const markers = [];
+
+  getSyncHistory()
+    .filter(sync => sync.new_articles > 0)
+    .forEach(sync => {
+      const time = Date.parse(sync.time);
+      if (inWindow(time)) {
+        markers.push({ type: 'sync', time, text: `Sync: +${sync.new_articles} articles` });
+      }
+    });
+
+  try {
+    const days = Math.max(1, Math.ceil((Date.now() - start) / DAY_MS));
+    const data = await cachedFetch(`/api/portfolio/funding?days=${days}&limit=100`);
+    (data.funding_rounds || []).forEach(round => {
+      const time = Date.parse(round.date || round.collected_at);
+      if (inWindow(time) && fundingAmountMillions(round.amount) >= MAJOR_FUNDING_AMOUNT) {
+        markers.push({ type: 'funding', time, text: `${round.company} raised ${formatCurrency(round.amount)}${round.round ? ` (${round.round})` : ''}` });
+      }
+    });
+  } catch (error) {
+    console.warn('Could not load funding markers:', error.message);
+  }
+
+  return markers.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Funding amount in USD millions (amounts are millions or strings like "$200M")
+ * @param {number|string} amount - Amount from the funding endpoint
+ * @returns {number} Amount in millions, or 0 if unknown
+ */
+function fundingAmountMillions(amount) {
+  if (typeof amount === 'number') return amount;
+  const match = /^\$?([\d.]+)\s*([KMB])?$/i.exec(String(amount || '').trim());
+  if (!match) return 0;
+  const scale = { K: 0.001, M: 1, B: 1000 }[(match[2] || 'M').toUpperCase()];
+  return parseFloat(match[1]) * scale;
+}
+
+/**
+ * List the most recent markers below the sentiment timeline
+ * @param {Array} markers - Markers {type, time, text}
+ */
+function renderMarkerList(markers) {
+  const list = document.getElementById('sentiment-timeline-markers');
+  if (!list) return;
+
+  list.innerHTML = markers
+    .slice(-MAX_LISTED_MARKERS)
+    .reverse()
+    .map(marker => `
+      <li class="flex items-center gap-2">
+        <span aria-hidden="true" style="color: ${MARKER_COLORS[marker.type]};">&#9660;</span>
+        <span style="color: var(--text-primary);">${escapeHtml(marker.text)}</span>
+        <span style="color: var(--text-muted);">${formatDate(new Date(marker.time).toISOString())}</span>
+      </li>
+    `)
+    .join('');
+}
+
+/**
+ * Render an entity's weekly mentions as bars stacked by sentiment
+ * @param {string} entityName - Entity to chart
+ * @param {number} weeks - Number of weeks to show
+ * @param {function} onWeekClick - Callback({start, end}) when a week's bar is clicked
+ */
+export async function renderEntityTimelineChart(entityName, weeks, onWeekClick) {
+  const canvasId = 'entity-timeline-chart';
+  const token = (renderTokens[canvasId] || 0) + 1;
+  renderTokens[canvasId] = token;
+  setChartState(canvasId, 'loading');
+
+  try {
+    // Fetch weekly mention counts
+    const data = await cachedFetch(`/api/entities/${encodeURIComponent(entityName)}/timeline?weeks=${weeks}`, {
+      onRevalidate: () => {
+        if (renderTokens[canvasId] === token) renderEntityTimelineChart(entityName, weeks, onWeekClick);
+      }
+    });
+
+    // The modal may have moved on to another entity or window while loading
+    const ctx = document.getElementById(canvasId);
+    if (renderTokens[canvasId] !== token || !ctx || ctx.dataset.entity !== entityName) return;
+
+    // Handle empty state, including weeks that all have zero mentions (the canvas is kept for the next window)
+    const totalMentions = (data.weeks || [])
+      .reduce((sum, week) => sum + (week.bullish || 0) + (week.neutral || 0) + (week.bearish || 0), 0);
+    if (totalMentions === 0) {
+      setChartState(canvasId, 'empty', 'No mentions in this period');
+      return;
+    }
+    setChartState(canvasId, 'ready');
+
+    const weekRanges = data.weeks.map(week => {
+      const start = new Date(week.week_start);
+      const end = week.week_end ? new Date(week.week_end) : new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
+      return { start, end };
+    });
+
+    // Destroy existing chart instance if exists
+    if (chartInstances['entity-timeline-chart']) {
+      chartInstances['entity-timeline-chart'].destroy();
+    }
+
+    // Create stacked bar chart
+    chartInstances['entity-timeline-chart'] = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: weekRanges.map(range => bucketLabel(range.start.getTime(), 'week')),
+        datasets: [
+          { label: 'Bullish', data: data.weeks.map(w => w.bullish || 0), backgroundColor: 'rgba(34, 197, 94, 0.8)' },
+          { label: 'Neutral', data: data.weeks.map(w => w.neutral || 0), backgroundColor: 'rgba(156, 163, 175, 0.8)' },
+          { label: 'Bearish', data: data.weeks.map(w => w.bearish || 0), backgroundColor: 'rgba(239, 68, 68, 0.8)' }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        // Hovering or clicking anywhere in a week's column selects the whole week
+        interaction: { mode: 'index', intersect: false },
+        onClick: (event, elements) => {
+          if (elements.length > 0 && onWeekClick) {
+            onWeekClick(weekRanges[elements[0].index]);
+          }
+        },
+        onHover: (event, elements) => {
+          event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+        },
+        plugins: {
+          legend: {
+            position: 'bottom',
+            labels: { color: '#e8e6e3', boxWidth: 12, font: { size: 11 } }
+          },
+          tooltip: {
+            callbacks: {
+              title: (items) => `Week of ${items[0].label}`,
+              footer: (items) => `Total: ${items.reduce((sum, item) => sum + item.parsed.y, 0)}`
+            }
+          },
+          chartExport: { title: `${entityName}: Weekly Mentions`, caption: `Last ${weeks} weeks` }
+        },
+        scales: {
+          x: {
+            stacked: true,
+            ticks: { color: '#8a8578', maxRotation: 0, autoSkip: true },
+            grid: { display: false }
+          },
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            ticks: { color: '#8a8578', precision: 0 },
+            grid: { color: 'rgba(255, 255, 255, 0.05)' }
+          }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Failed to render entity timeline chart:', error);
+    if (renderTokens[canvasId] === token) {
+      setChartState(canvasId, 'error', `Failed to load timeline: ${error.message}`);
+    }
     throw error;
   }
 }
@@ -3,22 +3,47 @@
  * Handles chat form submission, stream event routing, and question processing
  */
 
-import { askQuestionStream, checkHealth } from "./api.js";
+import { askQuestionStream, cancelStream, checkHealth } from "./api.js";
 import {
   addUserMessage,
   addBotMessage,
   updateBotMessage,
   finalizeBotMessage,
-  renderSources
+  renderSources,
+  clearMessages,
+  markInterrupted,
+  showMessageError,
+  renderMessageActions,
+  resetBotMessage,
+  getMessageText,
+  setMessageText
 } from "./messages.js";
 import { updateStatus, showRetryStatus, hideStatus } from "./status.js";
 import { renderEntityPills } from "./entities.js";
 import { createFeedbackButtons } from "./feedback.js";
+import { createStageTimer, renderProvenancePanel } from "./provenance.js";
+import { exportConversation, showExportMenu } from "./export.js";
+import { CONVERSATION_CONFIG } from "./config.js";
+import { saveConversation, getConversation } from "./storage.js";
+import { initSessions, refreshSessions } from "./sessions.js";
+import { initMentions, takeMentions } from "./mentions.js";
+import { navigate } from "./router.js";
 
 // State management
 let isProcessing = false;
 let currentMessageEl = null;
 let storedMetaData = null;
+let stopRequested = false;
+
+// Active conversation; turns hold {question, entities, answer, sources, meta, timings, feedback, status}
+// Turn status: "pending" | "complete" | "interrupted" | "error"
+let conversation = createConversation();
+
+// Maps bot message elements to their conversation turn (for regenerate/retry)
+const messageTurns = new WeakMap();
+
+// Questions submitted while an answer is streaming, asked in order: {id, question, entities}
+let questionQueue = [];
 
 /**
  * Initializes the chat form and event listeners
@@ -35,6 +60,50 @@ export function initChat() {
   // Add submit event listener
   form.addEventListener("submit", handleSubmit);
 
+  // Stop button (visible while an answer is streaming)
+  const stopButton = document.getElementById("stop-button");
+  if (stopButton) {
+    stopButton.addEventListener("click", stopGeneration);
+  }
+
+  // Export the whole conversation
+  const exportButton = document.getElementById("export-conversation");
+  if (exportButton) {
+    exportButton.addEventListener("click", (e) => {
+      if (conversation.turns.length === 0) return;
+      showExportMenu(e.currentTarget, (format) => exportConversation(conversation, format));
+    });
+  }
+
+  // New conversation control
+  const newConversationButton = document.getElementById("new-conversation");
+  if (newConversationButton) {
+    newConversationButton.addEventListener("click", () => {
+      // The URL only changes if the conversation on screen did
+      if (startNewConversation()) {
+        navigate({ conversation: null });
+      }
+    });
+  }
+
+  // Sessions sidebar (stored conversations)
+  initSessions({
+    // Conversations can't be swapped mid-answer, so keep the URL on the one shown
+    onOpen: (id) => {
+      if (!isProcessing) navigate({ conversation: id });
+    },
+    onDelete: (id) => {
+      if (id === conversation.id) {
+        if (startNewConversation()) {
+          navigate({ conversation: null }, { replace: true });
+        }
+      }
+    }
+  });
+
+  // "@" entity mentions (registered before the Enter handler so Enter can pick a suggestion)
+  initMentions(input);
+
   // Focus the input on init
   input.focus();
 
@@ -55,27 +124,44 @@ export function handleSubmit(event) {
   event.preventDefault();
 
   const input = document.getElementById("question-input");
-  const button = document.querySelector('button[type="submit"]');
 
   if (!input) return;
 
   const question = input.value.trim();
 
-  // Ignore empty submissions or if already processing
-  if (!question || isProcessing) return;
+  // Ignore empty submissions
+  if (!question) return;
+
+  // Entities picked from the "@" autocomplete
+  const entities = takeMentions(question);
 
-  // Set processing state
-  isProcessing = true;
+  // Clear input
+  input.value = "";
 
-  // Disable input and button
-  input.disabled = true;
-  input.classList.add("opacity-50", "cursor-not-allowed");
+  submitQuestion(question, entities);
+}
 
-  if (button) {
-    button.disabled = true;
-    button.classList.add("opacity-50", "cursor-not-allowed");
+/**
+ * Asks a question now, or queues it while another answer is streaming
+ * @param {string} question - The question to ask
+ * @param {Array} entities - Resolved entity references [{name, label}] from @mentions
+ */
+function submitQuestion(question, entities = []) {
+  if (isProcessing) {
+    questionQueue.push({ id: crypto.randomUUID(), question, entities });
+    renderQueue();
+    return;
   }
 
+  startQuestion(question, entities);
+}
+
+/**
+ * Adds the question and an empty answer to the chat and starts streaming
+ * @param {string} question - The question to ask
+ * @param {Array} entities - Resolved entity references from @mentions
+ */
+function startQuestion(question, entities = []) {
   // Hide suggestions if visible
   const suggestions = document.getElementById("suggestions");
   if (suggestions && !suggestions.classList.contains("hidden")) {
@@ -85,23 +171,36 @@ export function handleSubmit(event) {
   // Add user message to chat
   addUserMessage(question);
 
-  // Clear input
-  input.value = "";
-
   // Create empty bot message for streaming
-  currentMessageEl = addBotMessage();
+  const messageEl = addBotMessage();
 
-  // Process the question
-  processQuestion(question);
+  // Record the turn and process the question
+  const turn = { question, entities, answer: "", sources: [], meta: null, timings: [], feedback: null, status: "pending" };
+  conversation.turns.push(turn);
+  processQuestion(turn, messageEl);
 }
 
 /**
- * Processes a question through the GraphRAG pipeline
- * @param {string} question - The user's question
+ * Processes a question through the GraphRAG pipeline, streaming into a bot message
+ * @param {object} turn - The conversation turn (its question is asked, its answer fields are reset)
+ * @param {HTMLElement} messageEl - The bot message element to stream into
  */
-async function processQuestion(question) {
-  const input = document.getElementById("question-input");
-  const button = document.querySelector('button[type="submit"]');
+async function processQuestion(turn, messageEl) {
+  const { question, entities = [] } = turn;
+
+  setProcessing(true);
+  stopRequested = false;
+  currentMessageEl = messageEl;
+  storedMetaData = null;
+  messageTurns.set(messageEl, turn);
+
+  // Snapshot the history window of the turns before this one
+  const history = buildHistoryWindow(turn);
+  Object.assign(turn, { answer: "", sources: [], meta: null, timings: [], feedback: null, status: "pending" });
+  let errorMessage = null;
+
+  // Time each pipeline stage for the provenance panel
+  const stageTimer = createStageTimer();
 
   try {
     await askQuestionStream(
@@ -111,107 +210,459 @@ async function processQuestion(question) {
         switch (event.type) {
           case "status":
             updateStatus(event.data);
+            stageTimer.mark(event.data);
             break;
 
           case "meta":
             // Render sources
             if (event.data.sources) {
-              renderSources(currentMessageEl, event.data.sources);
+              renderSources(messageEl, event.data.sources);
             }
             // Store metadata on message element and in state for entity pills
-            if (currentMessageEl) {
-              currentMessageEl.dataset.metadata = JSON.stringify(event.data);
+            if (messageEl) {
+              messageEl.dataset.metadata = JSON.stringify(event.data);
             }
             storedMetaData = event.data;
+            turn.sources = event.data.sources || [];
+            turn.meta = event.data;
             break;
 
           case "token":
-            updateBotMessage(currentMessageEl, event.data);
+            stageTimer.mark("answering");
+            updateBotMessage(messageEl, event.data);
             break;
 
           case "error":
             // Show error in bot message
-            if (currentMessageEl) {
-              const answerContent = currentMessageEl.querySelector(".answer-content");
-              if (answerContent) {
-                answerContent.innerHTML = `<p class="text-red-400 text-sm">${event.data}</p>`;
-              }
-            }
+            errorMessage = String(event.data || "The answer could not be generated.");
+            showMessageError(messageEl, errorMessage);
             hideStatus();
             break;
 
           case "done":
             hideStatus();
-            finalizeBotMessage(currentMessageEl);
+            // A server error already replaced the answer
+            if (errorMessage) break;
+
+            finalizeBotMessage(messageEl);
             // Render entity pills after answer is complete
-            if (currentMessageEl && storedMetaData) {
-              renderEntityPills(currentMessageEl, storedMetaData);
+            if (messageEl && storedMetaData) {
+              renderEntityPills(messageEl, storedMetaData);
             }
+            // Record the completed turn for follow-up questions and history
+            turn.answer = getMessageText(messageEl);
+            turn.status = "complete";
             // Render feedback buttons after answer is complete
-            const feedbackContainer = currentMessageEl.querySelector(".feedback-container");
-            if (feedbackContainer) {
-              feedbackContainer.classList.remove("hidden");
-              feedbackContainer.appendChild(createFeedbackButtons(question, currentMessageEl.dataset.fullText || ""));
-            }
+            showFeedback(messageEl, turn);
             break;
         }
       },
       // onError callback
       (error) => {
         console.error("Stream error:", error);
-        if (currentMessageEl) {
-          const answerContent = currentMessageEl.querySelector(".answer-content");
-          if (answerContent) {
-            answerContent.innerHTML = '<p class="text-red-400 text-sm">Failed to get response. Please try again.</p>';
-          }
-        }
-        hideStatus();
+        errorMessage = "Failed to get response. Please try again.";
       },
       // onRetry callback
       (attempt, delay, message) => {
         showRetryStatus(attempt, delay, message);
-      }
+      },
+      history,
+      entities
     );
   } catch (error) {
     console.error("Failed to process question:", error);
-    if (currentMessageEl) {
-      const answerContent = currentMessageEl.querySelector(".answer-content");
-      if (answerContent) {
-        answerContent.innerHTML = '<p class="text-red-400 text-sm">Failed to get response. Please try again.</p>';
-      }
-    }
-    hideStatus();
+    errorMessage = "Failed to get response. Please try again.";
   } finally {
-    // Re-enable input and button
-    isProcessing = false;
+    hideStatus();
 
-    if (input) {
-      input.disabled = false;
-      input.classList.remove("opacity-50", "cursor-not-allowed");
-      input.focus();
+    turn.timings = stageTimer.finish();
+
+    // Settle a turn that never received its done event
+    if (turn.status === "pending") {
+      if (stopRequested && !errorMessage) {
+        // Keep the partial answer, marked as interrupted
+        turn.answer = getMessageText(messageEl);
+        turn.status = "interrupted";
+        finalizeBotMessage(messageEl);
+        markInterrupted(messageEl);
+      } else {
+        turn.status = "error";
+        showMessageError(messageEl, errorMessage || "Failed to get response. Please try again.");
+      }
     }
 
-    if (button) {
-      button.disabled = false;
-      button.classList.remove("opacity-50", "cursor-not-allowed");
+    // Show how the answer was produced (also for partial answers)
+    if (turn.status !== "error") {
+      renderProvenancePanel(messageEl, turn.meta, turn.timings);
     }
+
+    renderTurnActions(messageEl, turn);
+    persistConversation();
+
+    currentMessageEl = null;
+    setProcessing(false);
+
+    // Continue with the next queued question
+    processNextInQueue();
+  }
+}
+
+/**
+ * Toggles the processing state of the send and stop buttons
+ * The input stays enabled so follow-up questions can be queued
+ * @param {boolean} processing - Whether an answer is streaming
+ */
+function setProcessing(processing) {
+  const button = document.querySelector('button[type="submit"]');
+  const stopButton = document.getElementById("stop-button");
+
+  isProcessing = processing;
+
+  if (button) {
+    button.textContent = processing ? "Queue" : "Send";
+    button.setAttribute("aria-label", processing ? "Queue question" : "Send question");
+  }
+
+  if (stopButton) {
+    stopButton.classList.toggle("hidden", !processing);
+  }
+}
+
+/**
+ * Stops the answer currently streaming, keeping the partial text
+ */
+export function stopGeneration() {
+  if (!isProcessing) return;
+
+  stopRequested = true;
+  cancelStream();
+}
+
+/**
+ * Renders the Regenerate or Retry action for a settled turn
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {object} turn - The conversation turn
+ */
+function renderTurnActions(messageEl, turn) {
+  if (turn.status === "error") {
+    renderMessageActions(messageEl, [
+      { label: "↻ Retry", title: "Ask this question again", onClick: () => rerunTurn(messageEl) }
+    ]);
+  } else {
+    renderMessageActions(messageEl, [
+      { label: "↻ Regenerate", title: "Generate a new answer to this question", onClick: () => rerunTurn(messageEl) },
+      {
+        label: "⤓ Export",
+        title: "Export this answer",
+        onClick: (e) => showExportMenu(e.currentTarget, (format) =>
+          exportConversation({ title: turn.question, turns: [turn] }, format))
+      }
+    ]);
   }
 }
 
+/**
+ * Re-runs a turn's question into the same bot message
+ * @param {HTMLElement} messageEl - The bot message element
+ */
+function rerunTurn(messageEl) {
+  if (isProcessing) return;
+
+  const turn = messageTurns.get(messageEl);
+  if (!turn) return;
+
+  resetBotMessage(messageEl);
+  processQuestion(turn, messageEl);
+}
+
+/**
+ * Starts the next queued question, if any
+ */
+function processNextInQueue() {
+  if (isProcessing || questionQueue.length === 0) return;
+
+  const next = questionQueue.shift();
+  renderQueue();
+  startQuestion(next.question, next.entities);
+}
+
+/**
+ * Renders the queued questions as pending bubbles with reorder and cancel controls
+ */
+function renderQueue() {
+  const queueEl = document.getElementById("question-queue");
+  if (!queueEl) return;
+
+  queueEl.innerHTML = "";
+  queueEl.classList.toggle("hidden", questionQueue.length === 0);
+
+  questionQueue.forEach((item, index) => {
+    const row = document.createElement("div");
+    row.className = "flex justify-end items-center gap-2";
+
+    const controls = document.createElement("div");
+    controls.className = "flex gap-1";
+    [
+      { label: "↑", title: "Move up", disabled: index === 0, onClick: () => moveQueuedQuestion(item.id, -1) },
+      { label: "↓", title: "Move down", disabled: index === questionQueue.length - 1, onClick: () => moveQueuedQuestion(item.id, 1) },
+      { label: "×", title: "Cancel question", disabled: false, onClick: () => cancelQueuedQuestion(item.id) }
+    ].forEach(control => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "w-6 h-6 text-xs glass glass-hover rounded cursor-pointer disabled:opacity-30 disabled:cursor-not-allowed";
+      button.style.color = "var(--text-secondary)";
+      button.textContent = control.label;
+      button.title = control.title;
+      button.setAttribute("aria-label", control.title);
+      button.disabled = control.disabled;
+      button.addEventListener("click", control.onClick);
+      controls.appendChild(button);
+    });
+
+    const bubble = document.createElement("div");
+    bubble.className = "glass-gold rounded-2xl rounded-br-sm px-4 py-2 max-w-[80%] opacity-60 border-dashed";
+    bubble.innerHTML = `
+      <p class="text-xs mb-0.5" style="color: var(--text-muted);">Queued #${index + 1}</p>
+      <p class="text-sm" style="color: var(--text-primary);"></p>
+    `;
+    bubble.lastElementChild.textContent = item.question;
+
+    row.appendChild(controls);
+    row.appendChild(bubble);
+    queueEl.appendChild(row);
+  });
+}
+
+/**
+ * Moves a queued question up or down
+ * @param {string} id - Queue item ID
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveQueuedQuestion(id, offset) {
+  const index = questionQueue.findIndex(item => item.id === id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= questionQueue.length) return;
+
+  const [item] = questionQueue.splice(index, 1);
+  questionQueue.splice(target, 0, item);
+  renderQueue();
+}
+
+/**
+ * Removes a question from the queue
+ * @param {string} id - Queue item ID
+ */
+function cancelQueuedQuestion(id) {
+  questionQueue = questionQueue.filter(item => item.id !== id);
+  renderQueue();
+}
+
 /**
  * Sends a question (called from suggestion buttons)
+ * Goes through the same queue as typed questions
  * @param {string} question - The question to send
  */
 export function sendQuestion(question) {
+  const trimmed = question.trim();
+  if (!trimmed) return;
+
+  submitQuestion(trimmed);
+}
+
+/**
+ * Builds the bounded history window sent with a question
+ * @param {object} currentTurn - The turn being asked (only earlier turns are included)
+ * @returns {Array} Most recent answered turns, with long answers truncated
+ */
+function buildHistoryWindow(currentTurn) {
+  const { maxTurns, maxAnswerChars, maxSources } = CONVERSATION_CONFIG;
+
+  const index = conversation.turns.indexOf(currentTurn);
+  const previousTurns = index === -1 ? conversation.turns : conversation.turns.slice(0, index);
+
+  return previousTurns
+    .filter(turn => turn.status !== "error" && turn.status !== "pending" && turn.answer)
+    .slice(-maxTurns)
+    .map(turn => ({
+      question: turn.question,
+      answer: turn.answer.length > maxAnswerChars
+        ? turn.answer.slice(0, maxAnswerChars) + "…"
+        : turn.answer,
+      sources: turn.sources.slice(0, maxSources).map(source => ({
+        title: source.title || null,
+        url: source.url || null
+      }))
+    }));
+}
+
+/**
+ * Starts a new conversation: clears the chat and resets the history
+ * @returns {boolean} False if an answer is streaming and nothing was reset
+ */
+export function startNewConversation() {
+  // Don't reset in the middle of a streamed answer
+  if (isProcessing) return false;
+
+  conversation = createConversation();
+  currentMessageEl = null;
+  storedMetaData = null;
+
+  clearMessages();
+  refreshSessions(null);
+
+  // Show suggestions again
+  const suggestions = document.getElementById("suggestions");
+  if (suggestions) {
+    suggestions.classList.remove("hidden");
+  }
+
   const input = document.getElementById("question-input");
-  if (!input) return;
+  if (input) {
+    input.focus();
+  }
+  return true;
+}
 
-  // Set input value
-  input.value = question;
+/**
+ * Creates an empty conversation record
+ * @returns {object} Conversation {id, title, createdAt, updatedAt, turns}
+ */
+function createConversation() {
+  const now = Date.now();
+  return { id: crypto.randomUUID(), title: "", createdAt: now, updatedAt: now, turns: [] };
+}
 
-  // Trigger form submit
-  const form = document.getElementById("chat-form");
-  if (form) {
-    form.dispatchEvent(new Event("submit"));
+/**
+ * Saves the active conversation to local storage and refreshes the sidebar
+ */
+async function persistConversation() {
+  if (conversation.turns.length === 0) return;
+
+  // Title a conversation after its first question
+  if (!conversation.title) {
+    const firstQuestion = conversation.turns[0].question;
+    conversation.title = firstQuestion.length > 60 ? firstQuestion.slice(0, 60) + "…" : firstQuestion;
   }
+  conversation.updatedAt = Date.now();
+
+  try {
+    await saveConversation(conversation);
+  } catch (error) {
+    console.warn("Failed to save conversation:", error.message);
+    return;
+  }
+
+  refreshSessions(conversation.id);
+
+  // Give the conversation a link once it has been saved
+  navigate({ conversation: conversation.id }, { replace: true });
+}
+
+/**
+ * Shows feedback buttons on a bot message and records the rating on its turn
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {object} turn - The conversation turn
+ */
+function showFeedback(messageEl, turn) {
+  const feedbackContainer = messageEl.querySelector(".feedback-container");
+  if (!feedbackContainer) return;
+
+  feedbackContainer.classList.remove("hidden");
+  feedbackContainer.appendChild(createFeedbackButtons(turn.question, turn.answer, {
+    rating: turn.feedback,
+    onRated: (rating) => {
+      turn.feedback = rating;
+      persistConversation();
+    }
+  }));
+}
+
+/**
+ * Shows the conversation in the URL (called by the router)
+ * @param {string|null} id - Conversation ID, or null for a new conversation
+ */
+export function showConversation(id) {
+  if (id) {
+    openConversation(id);
+  } else if (conversation.turns.length > 0) {
+    startNewConversation();
+  }
+}
+
+/**
+ * Re-opens a stored conversation and re-renders all of its turns
+ * @param {string} id - Conversation ID
+ */
+export async function openConversation(id) {
+  // Don't swap conversations in the middle of a streamed answer
+  if (isProcessing || id === conversation.id) return;
+
+  let stored;
+  try {
+    stored = await getConversation(id);
+  } catch (error) {
+    console.error("Failed to load conversation:", error);
+    return;
+  }
+  if (!stored) return;
+
+  conversation = stored;
+  currentMessageEl = null;
+  storedMetaData = null;
+
+  clearMessages();
+
+  const suggestions = document.getElementById("suggestions");
+  if (suggestions) {
+    suggestions.classList.add("hidden");
+  }
+
+  conversation.turns.forEach(renderStoredTurn);
+  refreshSessions(conversation.id);
+}
+
+/**
+ * Renders a stored turn: question, answer, sources, entity pills and feedback state
+ * @param {object} turn - The conversation turn
+ */
+function renderStoredTurn(turn) {
+  addUserMessage(turn.question);
+
+  const messageEl = addBotMessage();
+  if (!messageEl) return;
+
+  messageTurns.set(messageEl, turn);
+
+  // Turns saved before statuses existed were always complete
+  const status = turn.status || "complete";
+
+  if (status === "error" || status === "pending") {
+    showMessageError(messageEl, "Failed to get response. Please try again.");
+    renderTurnActions(messageEl, { ...turn, status: "error" });
+    return;
+  }
+
+  setMessageText(messageEl, turn.answer);
+  finalizeBotMessage(messageEl);
+
+  if (status === "interrupted") {
+    markInterrupted(messageEl);
+  }
+
+  if (turn.sources && turn.sources.length > 0) {
+    renderSources(messageEl, turn.sources);
+  }
+
+  if (turn.meta) {
+    messageEl.dataset.metadata = JSON.stringify(turn.meta);
+    renderEntityPills(messageEl, turn.meta);
+  }
+
+  renderProvenancePanel(messageEl, turn.meta, turn.timings || []);
+
+  if (status === "complete") {
+    showFeedback(messageEl, turn);
+  }
+
+  renderTurnActions(messageEl, turn);
 }
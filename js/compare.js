@@ -0,0 +1,403 @@
+/**
+ * Entity Comparison
+ * Collects two to four entities in a tray and compares their profiles side by side
+ */
+
+import { cachedFetch } from './cache.js';
+import { formatDate, escapeHtml } from './utils.js';
+import { getLabelStyle, closeEntityModal } from './entities.js';
+
+// Number of entities that can be compared at once
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+// Rows shown in the shared co-occurring entities table
+const MAX_SHARED_ENTITIES = 10;
+
+// Entity names selected for comparison, in the order they were added
+let compareEntities = [];
+
+/**
+ * Initialize the comparison tray and modal listeners
+ * Call this once on page load
+ */
+export function initCompare() {
+  const tray = document.getElementById('compare-tray');
+  const modal = document.getElementById('compare-modal');
+
+  if (!tray || !modal) {
+    console.error('Compare tray or modal not found');
+    return;
+  }
+
+  tray.addEventListener('click', (e) => {
+    const removeButton = e.target.closest('[data-compare-remove]');
+    if (removeButton) {
+      removeFromCompare(removeButton.dataset.compareRemove);
+    } else if (e.target.closest('#compare-clear')) {
+      compareEntities = [];
+      renderCompareTray();
+    } else if (e.target.closest('#compare-open')) {
+      showComparison();
+    }
+  });
+
+  // Close on backdrop click, close button or Escape
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target.closest('#compare-modal-close')) {
+      closeComparison();
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+      closeComparison();
+    }
+  });
+}
+
+/**
+ * Add an entity to the comparison
+ * @param {string} entityName - Entity to add
+ */
+export function addToCompare(entityName) {
+  if (!entityName) return;
+
+  if (compareEntities.includes(entityName)) {
+    renderCompareTray(`${entityName} is already in the comparison`);
+    return;
+  }
+
+  if (compareEntities.length >= MAX_COMPARE) {
+    renderCompareTray(`Compare up to ${MAX_COMPARE} entities at a time`);
+    return;
+  }
+
+  compareEntities.push(entityName);
+  renderCompareTray();
+}
+
+/**
+ * Remove an entity from the comparison
+ * @param {string} entityName - Entity to remove
+ */
+function removeFromCompare(entityName) {
+  compareEntities = compareEntities.filter(name => name !== entityName);
+  renderCompareTray();
+}
+
+/**
+ * Render the floating tray listing the selected entities
+ * @param {string} notice - Optional message shown in the tray
+ */
+function renderCompareTray(notice = '') {
+  const tray = document.getElementById('compare-tray');
+  if (!tray) return;
+
+  tray.classList.toggle('hidden', compareEntities.length === 0);
+  if (compareEntities.length === 0) {
+    tray.innerHTML = '';
+    return;
+  }
+
+  const canCompare = compareEntities.length >= MIN_COMPARE;
+  const chipsHtml = compareEntities.map(name => `
+    <span class="inline-flex items-center gap-1 px-2 py-0.5 text-xs glass-gold rounded-full" style="color: var(--gold);">
+      ${escapeHtml(name)}
+      <button type="button" data-compare-remove="${escapeHtml(name)}" class="cursor-pointer opacity-70 hover:opacity-100" aria-label="Remove ${escapeHtml(name)} from comparison">&times;</button>
+    </span>
+  `).join('');
+
+  tray.innerHTML = `
+    <div class="flex flex-wrap items-center gap-2 mb-2">${chipsHtml}</div>
+    ${notice ? `<p class="text-xs mb-2" style="color: var(--text-muted);">${escapeHtml(notice)}</p>` : ''}
+    <div class="flex items-center justify-between gap-2">
+      <span class="text-xs" style="color: var(--text-muted);">${canCompare ? `${compareEntities.length} of ${MAX_COMPARE}` : `Add ${MIN_COMPARE - compareEntities.length} more to compare`}</span>
+      <span class="flex gap-2">
+        <button type="button" id="compare-clear" class="text-xs px-2 py-1 glass glass-hover rounded cursor-pointer" style="color: var(--text-secondary);">Clear</button>
+        <button type="button" id="compare-open" class="text-xs px-3 py-1 rounded font-semibold cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed" style="background: var(--gold); color: var(--bg-deep);" ${canCompare ? '' : 'disabled'}>Compare</button>
+      </span>
+    </div>
+  `;
+}
+
+/**
+ * Fetch the profiles of the selected entities and show them side by side
+ */
+export async function showComparison() {
+  const modal = document.getElementById('compare-modal');
+  const content = document.getElementById('compare-modal-content');
+
+  if (!modal || !content) {
+    console.error('Compare modal elements not found');
+    return;
+  }
+  if (compareEntities.length < MIN_COMPARE) return;
+
+  // The comparison replaces a single open profile
+  if (!document.getElementById('entity-modal')?.classList.contains('hidden')) {
+    closeEntityModal();
+  }
+
+  modal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+
+  content.innerHTML = `
+    <div class="flex items-center gap-2 text-gray-400">
+      <svg class="animate-spin h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+        <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
+        <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+      </svg>
+      <span>Loading ${compareEntities.length} profiles...</span>
+    </div>
+  `;
+
+  try {
+    const profiles = await Promise.all(compareEntities.map(async (name) => {
+      const profile = await cachedFetch(`/api/entities/${encodeURIComponent(name)}/profile`);
+      return { ...profile, requested_name: name };
+    }));
+
+    const found = profiles.filter(profile => profile.found);
+    const missing = profiles.filter(profile => !profile.found).map(profile => profile.requested_name);
+
+    if (found.length < MIN_COMPARE) {
+      content.innerHTML = `
+        <div class="text-center py-8">
+          <p class="text-gray-400 text-lg mb-4">Not enough entities to compare</p>
+          <p class="text-gray-500 text-sm">${missing.length > 0 ? `Not found in the knowledge graph: ${escapeHtml(missing.join(', '))}` : ''}</p>
+        </div>
+      `;
+      return;
+    }
+
+    content.innerHTML = `
+      ${missing.length > 0 ? `<p class="text-xs mb-4 text-yellow-400">Not found in the knowledge graph: ${escapeHtml(missing.join(', '))}</p>` : ''}
+      ${renderComparisonGrid(found)}
+      ${renderSharedEntities(found)}
+      ${renderOverlappingArticles(found)}
+    `;
+  } catch (error) {
+    console.error('Failed to load comparison:', error);
+    content.innerHTML = `
+      <div class="text-center py-8">
+        <p class="text-red-400 text-lg mb-4">Failed to load comparison</p>
+        <p class="text-gray-500 text-sm">${escapeHtml(error.message)}</p>
+      </div>
+    `;
+  }
+}
+
+/**
+ * Close the comparison modal
+ */
+function closeComparison() {
+  const modal = document.getElementById('compare-modal');
+  if (!modal) return;
+
+  modal.classList.add('hidden');
+  document.body.style.overflow = '';
+
+  const content = document.getElementById('compare-modal-content');
+  if (content) {
+    content.innerHTML = '';
+  }
+}
+
+/**
+ * Render one column per entity: label, mentions, sentiment and top categories
+ * @param {Array} profiles - Entity profiles
+ * @returns {string} HTML string
+ */
+function renderComparisonGrid(profiles) {
+  const maxMentions = Math.max(...profiles.map(profile => profile.total_mentions || 0), 1);
+
+  const columnsHtml = profiles.map(profile => {
+    const labelStyle = getLabelStyle(profile.label);
+    const mentions = profile.total_mentions || 0;
+
+    return `
+      <div class="glass rounded-lg p-4">
+        <h3 class="font-display text-lg font-bold mb-1" style="color: var(--text-primary);">${escapeHtml(profile.entity_name)}</h3>
+        <span class="inline-block px-2 py-0.5 mb-4 text-xs ${labelStyle.className} border rounded-md">${labelStyle.icon} ${escapeHtml(profile.label || 'Unknown')}</span>
+
+        <div class="text-xs mb-1" style="color: var(--text-secondary);">Total Mentions</div>
+        <div class="text-2xl font-bold mb-1" style="color: var(--text-primary);">${mentions}</div>
+        <div class="h-1.5 rounded-full mb-4" style="background: var(--bg-surface);">
+          <div class="h-1.5 rounded-full" style="width: ${Math.round((mentions / maxMentions) * 100)}%; background: var(--gold);"></div>
+        </div>
+
+        <div class="text-xs mb-1" style="color: var(--text-secondary);">Sentiment</div>
+        ${renderSentimentBar(profile.sentiment_breakdown, mentions)}
+
+        <div class="text-xs mt-4 mb-1" style="color: var(--text-secondary);">Top Categories</div>
+        ${renderTopCategories(profile.category_breakdown)}
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="grid gap-4 mb-6" style="grid-template-columns: repeat(${profiles.length}, minmax(0, 1fr));">
+      ${columnsHtml}
+    </div>
+  `;
+}
+
+/**
+ * Render a compact stacked sentiment bar with percentages
+ * @param {object} sentimentBreakdown - Sentiment counts
+ * @param {number} total - Total mentions
+ * @returns {string} HTML string
+ */
+function renderSentimentBar(sentimentBreakdown, total) {
+  if (!sentimentBreakdown || !total) {
+    return '<p class="text-xs text-gray-500">No sentiment data</p>';
+  }
+
+  const parts = [
+    { key: 'bullish', barClass: 'bg-green-600', textClass: 'text-green-400' },
+    { key: 'neutral', barClass: 'bg-gray-600', textClass: 'text-gray-400' },
+    { key: 'bearish', barClass: 'bg-red-600', textClass: 'text-red-400' }
+  ].map(part => ({ ...part, pct: Math.round(((sentimentBreakdown[part.key] || 0) / total) * 100) }));
+
+  return `
+    <div class="flex h-3 rounded overflow-hidden mb-1">
+      ${parts.map(part => (part.pct > 0 ? `<div class="${part.barClass}" style="width: ${part.pct}%"></div>` : '')).join('')}
+    </div>
+    <div class="flex justify-between text-xs">
+      ${parts.map(part => `<span class="${part.textClass} capitalize">${part.pct}%</span>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render the top categories with their share of mentions
+ * @param {object} categoryBreakdown - Category counts
+ * @returns {string} HTML string
+ */
+function renderTopCategories(categoryBreakdown) {
+  const entries = Object.entries(categoryBreakdown || {});
+  if (entries.length === 0) {
+    return '<p class="text-xs text-gray-500">No category data</p>';
+  }
+
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+  return entries
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([category, count]) => `
+      <div class="flex justify-between items-center py-0.5 text-xs">
+        <span class="text-gray-300 capitalize">${escapeHtml(category)}</span>
+        <span class="text-gray-500">${Math.round((count / total) * 100)}%</span>
+      </div>
+    `)
+    .join('');
+}
+
+/**
+ * Render entities that co-occur with at least two of the compared entities
+ * @param {Array} profiles - Entity profiles
+ * @returns {string} HTML string
+ */
+function renderSharedEntities(profiles) {
+  const comparedNames = new Set(profiles.map(profile => profile.entity_name));
+
+  // Co-occurrence counts per shared entity, one per compared profile
+  const shared = new Map();
+  profiles.forEach((profile, index) => {
+    (profile.co_occurring_entities || []).forEach(entity => {
+      const name = entity.entity_name || entity.name;
+      if (!name || comparedNames.has(name)) return;
+      if (!shared.has(name)) {
+        shared.set(name, profiles.map(() => 0));
+      }
+      shared.get(name)[index] = entity.co_occurrence_count || entity.count || 0;
+    });
+  });
+
+  const rows = Array.from(shared.entries())
+    .filter(([, counts]) => counts.filter(count => count > 0).length >= 2)
+    .sort((a, b) => b[1].reduce((sum, n) => sum + n, 0) - a[1].reduce((sum, n) => sum + n, 0))
+    .slice(0, MAX_SHARED_ENTITIES);
+
+  if (rows.length === 0) {
+    return `
+      <div class="mb-6">
+        <h3 class="text-sm font-semibold mb-2" style="color: var(--text-secondary);">Shared Co-occurring Entities</h3>
+        <p class="text-xs text-gray-500">No co-occurring entities in common.</p>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="mb-6">
+      <h3 class="text-sm font-semibold mb-2" style="color: var(--text-secondary);">Shared Co-occurring Entities</h3>
+      <div class="glass rounded-lg p-3 overflow-x-auto">
+        <table class="w-full text-xs">
+          <thead>
+            <tr style="color: var(--text-muted);">
+              <th class="text-left font-normal py-1">Entity</th>
+              ${profiles.map(profile => `<th class="text-right font-normal py-1 px-2">${escapeHtml(profile.entity_name)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(([name, counts]) => `
+              <tr class="border-t border-gray-700">
+                <td class="py-1 text-gray-300">${escapeHtml(name)}</td>
+                ${counts.map(count => `<td class="text-right py-1 px-2 ${count > 0 ? 'text-gray-300' : 'text-gray-600'}">${count || '–'}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render recent articles that mention more than one of the compared entities
+ * @param {Array} profiles - Entity profiles
+ * @returns {string} HTML string
+ */
+function renderOverlappingArticles(profiles) {
+  const articles = new Map();
+  profiles.forEach(profile => {
+    (profile.recent_articles || []).forEach(article => {
+      const key = article.id || article.url || article.title;
+      if (!key) return;
+      if (!articles.has(key)) {
+        articles.set(key, { article, entities: [] });
+      }
+      articles.get(key).entities.push(profile.entity_name);
+    });
+  });
+
+  const overlapping = Array.from(articles.values())
+    .filter(item => item.entities.length >= 2)
+    .sort((a, b) => (b.article.published_at || '').localeCompare(a.article.published_at || ''));
+
+  const articlesHtml = overlapping.map(({ article, entities }) => {
+    const title = article.title || 'Untitled';
+    const titleHtml = article.url
+      ? `<a href="${escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer" class="hover:underline" style="color: var(--gold);">${escapeHtml(title)}</a>`
+      : `<span style="color: var(--text-primary);">${escapeHtml(title)}</span>`;
+
+    return `
+      <div class="border-b border-gray-700 py-3 last:border-0">
+        <div class="mb-1">${titleHtml}</div>
+        <div class="flex gap-3 text-xs text-gray-500">
+          ${article.published_at ? `<span>${formatDate(article.published_at)}</span>` : ''}
+          <span>${escapeHtml(entities.join(' · '))}</span>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="mb-4">
+      <h3 class="text-sm font-semibold mb-2" style="color: var(--text-secondary);">Overlapping Recent Articles</h3>
+      ${overlapping.length > 0
+        ? `<div class="glass rounded-lg p-3 max-h-64 overflow-y-auto">${articlesHtml}</div>`
+        : '<p class="text-xs text-gray-500">None of the recent articles mention more than one of these entities.</p>'}
+    </div>
+  `;
+}
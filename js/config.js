@@ -2,8 +2,57 @@
  * Configuration for the Blockwall Knowledge Hub
  */
 
-// API base URL pointing to the deployed Render backend
-export const API_BASE = "https://blockwall-kg-api.onrender.com";
+// Named backend profiles (selectable via ?api=<profile> or the settings panel)
+export const API_PROFILES = {
+  production: "https://blockwall-kg-api.onrender.com",
+  staging: "https://blockwall-kg-api-staging.onrender.com",
+  local: "http://localhost:8000",
+  mock: "mock://blockwall"     // Served in the browser by js/mock/backend.js
+};
+
+// localStorage key holding the selected profile name or custom URL
+export const API_TARGET_STORAGE_KEY = "blockwall.apiTarget";
+
+/**
+ * Resolve the backend target
+ * Precedence: ?api= profile name, then the choice saved in the settings panel, then production
+ * Custom URLs are only accepted from the settings panel, so a shared link can't send
+ * questions and history to another host
+ * @returns {{profile: string, base: string}} Profile name ("custom" for URLs) and base URL
+ */
+function resolveApiTarget() {
+  const param = new URLSearchParams(window.location.search).get("api");
+  if (param && API_PROFILES[param]) {
+    return { profile: param, base: API_PROFILES[param] };
+  }
+  if (param) {
+    console.warn(`Ignoring ?api=${param}: not a backend profile (custom URLs are set in the settings panel)`);
+  }
+
+  let value;
+  try {
+    value = localStorage.getItem(API_TARGET_STORAGE_KEY);
+  } catch (error) {
+    // Storage may be unavailable (e.g. privacy mode)
+    value = null;
+  }
+
+  if (value && API_PROFILES[value]) {
+    return { profile: value, base: API_PROFILES[value] };
+  }
+
+  if (value && /^https?:\/\//.test(value)) {
+    return { profile: "custom", base: value.replace(/\/+$/, "") };
+  }
+
+  return { profile: "production", base: API_PROFILES.production };
+}
+
+// Backend target for this page load
+export const API_TARGET = resolveApiTarget();
+
+// API base URL used by every request
+export const API_BASE = API_TARGET.base;
 
 // Retry configuration for handling cold starts and network issues
 export const RETRY_CONFIG = {
@@ -15,6 +64,56 @@ export const RETRY_CONFIG = {
   retryableStatuses: [408, 429, 500, 502, 503, 504]
 };
 
+// Resume configuration for chat streams interrupted mid-answer
+export const STREAM_CONFIG = {
+  maxResumeAttempts: 3,      // Reconnections per answer
+  resumeDelay: 1000          // Default wait before reconnecting (server "retry:" overrides)
+};
+
+// Conversation context sent with each question (bounded to keep requests small)
+export const CONVERSATION_CONFIG = {
+  maxTurns: 6,               // Most recent turns sent as history
+  maxAnswerChars: 1500,      // Truncate long answers in history
+  maxSources: 5              // Sources kept per turn in history
+};
+
+// Response cache for read endpoints (TTLs in ms; first matching path pattern wins)
+export const CACHE_CONFIG = {
+  storageKey: "blockwall.responseCache",
+  maxEntries: 150,           // Oldest entries are evicted beyond this
+  defaultTtl: 5 * 60 * 1000,
+  ttls: [
+    { pattern: /^\/api\/entities\/[^/]+\/profile/, ttl: 10 * 60 * 1000 },
+    { pattern: /^\/api\/entities\/[^/]+\/(timeline|articles)/, ttl: 10 * 60 * 1000 },
+    { pattern: /^\/api\/entities\/search/, ttl: 5 * 60 * 1000 },
+    { pattern: /^\/api\/trends\//, ttl: 5 * 60 * 1000 },
+    { pattern: /^\/api\/portfolio\/(companies|company\/)/, ttl: 15 * 60 * 1000 },
+    { pattern: /^\/api\/portfolio\/funding/, ttl: 30 * 60 * 1000 }
+  ]
+};
+
+// localStorage key holding recent syncs (shown as markers on the sentiment timeline)
+export const SYNC_HISTORY_STORAGE_KEY = "blockwall.syncHistory";
+
+// localStorage key holding the last chosen Trends range (used when the URL has none)
+export const TRENDS_RANGE_STORAGE_KEY = "blockwall.trendsRange";
+
+// Emerging topic detection on the Trends tab: a topic is flagged when its article count is at
+// least zThreshold standard deviations above its average over the previous baselineWindows
+// periods of the same length
+export const EMERGING_TOPICS_CONFIG = {
+  baselineWindows: 4,
+  zThreshold: 2,
+  minArticles: 3             // Topics with fewer articles in the current period are ignored
+};
+
+// Watched entities, kept in localStorage and checked for changes on load and after each sync
+export const WATCHLIST_CONFIG = {
+  storageKey: "blockwall.watchlist",
+  maxEntities: 50,
+  concurrency: 4             // Profiles fetched at the same time when checking
+};
+
 // Starter questions to show when no messages exist
 export const SUGGESTIONS = [
   "What are the latest trends in DeFi?",
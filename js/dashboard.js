@@ -3,9 +3,21 @@
  * Handles tab switching, lazy loading, and panel management
  */
 
+import { navigate } from './router.js';
+import { TRENDS_RANGE_STORAGE_KEY } from './config.js';
+
 // Track which tabs have been loaded
 const loadedTabs = new Set();
 
+// Trends time ranges (days of data per preset); custom ranges are "YYYY-MM-DD..YYYY-MM-DD"
+const TRENDS_RANGES = { '24h': 1, '7d': 7, '30d': 30, '90d': 90 };
+const CUSTOM_RANGE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/;
+let trendsRange = '7d';
+let rangePickerInitialized = false;
+
+// Sentiment timeline display: bucket size (null picks one from the range) and % mode
+const sentimentTimelineOptions = { interval: null, normalized: false };
+
 /**
  * Initialize tab navigation
  */
@@ -23,7 +35,7 @@ export function initTabs() {
     button.addEventListener('click', () => {
       const targetTab = button.getAttribute('data-tab');
       if (targetTab) {
-        switchTab(targetTab);
+        navigate({ tab: targetTab });
       }
     });
   });
@@ -32,10 +44,10 @@ export function initTabs() {
 }
 
 /**
- * Switch to a specific tab
- * @param {string} targetTab - The tab to switch to (chat, trends, portfolio)
+ * Switch to a specific tab (called by the router; use navigate({ tab }) to change tabs)
+ * @param {string} targetTab - The tab to switch to (chat, trends, entities, portfolio, graph)
  */
-async function switchTab(targetTab) {
+export async function switchTab(targetTab) {
   const tabButtons = document.querySelectorAll('[role="tab"]');
   const tabPanels = document.querySelectorAll('[role="tabpanel"]');
 
@@ -72,50 +84,259 @@ async function switchTab(targetTab) {
     if (targetTab === 'trends') {
       await loadTrendsView();
       loadedTabs.add('trends');
+    } else if (targetTab === 'entities') {
+      await loadDirectoryView();
+      loadedTabs.add('entities');
     } else if (targetTab === 'portfolio') {
       await loadPortfolioView();
       loadedTabs.add('portfolio');
+    } else if (targetTab === 'graph') {
+      await loadGraphView();
+      loadedTabs.add('graph');
     }
   }
 }
 
+/**
+ * Set the time range of the Trends charts (called by the router)
+ * Remembers the range and re-renders the charts if the Trends view is already loaded
+ * @param {string} range - Preset ('24h', '7d', '30d', '90d') or custom "YYYY-MM-DD..YYYY-MM-DD"
+ */
+export async function setTrendsRange(range) {
+  const nextRange = parseTrendsRange(range) ? range : '7d';
+  storeTrendsRange(nextRange);
+  if (nextRange === trendsRange) return;
+
+  trendsRange = nextRange;
+  renderRangePicker();
+  if (loadedTabs.has('trends')) {
+    await renderTrendsCharts();
+  }
+}
+
+/**
+ * The Trends range chosen on an earlier visit, used when the URL doesn't name one
+ * @returns {string|null} Range, or null if none was stored
+ */
+export function getStoredTrendsRange() {
+  try {
+    const range = localStorage.getItem(TRENDS_RANGE_STORAGE_KEY);
+    return range && parseTrendsRange(range) ? range : null;
+  } catch (error) {
+    // Storage may be unavailable (e.g. privacy mode)
+    return null;
+  }
+}
+
+/**
+ * Remember the chosen Trends range
+ * @param {string} range - Range
+ */
+function storeTrendsRange(range) {
+  try {
+    localStorage.setItem(TRENDS_RANGE_STORAGE_KEY, range);
+  } catch (error) {
+    console.warn('Could not save trends range:', error.message);
+  }
+}
+
+/**
+ * Turn a range into the time window the charts fetch
+ * @param {string} range - Preset or custom "YYYY-MM-DD..YYYY-MM-DD"
+ * @returns {object|null} {days} or {start, end}, or null if the range is invalid
+ */
+function parseTrendsRange(range) {
+  if (TRENDS_RANGES[range]) {
+    return { days: TRENDS_RANGES[range] };
+  }
+
+  const match = CUSTOM_RANGE_PATTERN.exec(range || '');
+  if (match && match[1] <= match[2]) {
+    return { start: match[1], end: match[2] };
+  }
+  return null;
+}
+
 /**
  * Load the Trends view with charts
  */
 async function loadTrendsView() {
-  const trendsPanel = document.querySelector('[data-panel="trends"]');
-  if (!trendsPanel) return;
+  initRangePicker();
+  initSentimentTimelineControls();
+  await renderTrendsCharts();
+}
 
-  // Show loading spinner
-  const spinner = createLoadingSpinner();
-  trendsPanel.appendChild(spinner);
+/**
+ * Render both Trends charts for the current range
+ * Each chart shows its own loading, empty and error states
+ */
+async function renderTrendsCharts() {
+  // Dynamic import to avoid loading chart code until needed
+  const { renderTrendingTopicsChart, renderSentimentChart, renderSentimentTimelineChart } = await import('./charts.js');
 
-  try {
-    // Dynamic import to avoid loading chart code until needed
-    const { renderTrendingTopicsChart, renderSentimentChart } = await import('./charts.js');
+  // Load the charts in parallel; one failing doesn't hold up the others
+  const range = parseTrendsRange(trendsRange);
+  const results = await Promise.allSettled([
+    renderTrendingTopicsChart(range, (topic) => showChartArticles(range, { topic })),
+    renderSentimentChart(range, (sentiment) => showChartArticles(range, { sentiment })),
+    renderSentimentTimelineChart(range, sentimentTimelineOptions)
+  ]);
 
-    // Load both charts in parallel
-    await Promise.all([
-      renderTrendingTopicsChart(),
-      renderSentimentChart()
-    ]);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Failed to load trends chart:', result.reason));
+}
 
-    // Remove spinner on success
-    spinner.remove();
-  } catch (error) {
-    console.error('Failed to load trends view:', error);
+/**
+ * Open the drill-down panel with the articles behind a clicked chart element
+ * @param {object} range - Chart time window ({days} or {start, end})
+ * @param {object} filter - { topic } or { sentiment }
+ */
+async function showChartArticles(range, filter) {
+  const [{ windowLabel, windowParams }, { openDrilldown }] = await Promise.all([
+    import('./charts.js'),
+    import('./drilldown.js')
+  ]);
+  const label = windowLabel(range);
 
-    // Remove spinner
-    spinner.remove();
+  openDrilldown(filter.topic
+    ? {
+      filter,
+      windowParams: windowParams(range),
+      windowLabel: label,
+      title: filter.topic,
+      question: `What is driving coverage of ${filter.topic} (${label.toLowerCase()})? Summarize the key articles.`
+    }
+    : {
+      filter,
+      windowParams: windowParams(range),
+      windowLabel: label,
+      title: `${filter.sentiment.charAt(0).toUpperCase()}${filter.sentiment.slice(1)} articles`,
+      question: `What are the main ${filter.sentiment} stories in crypto news (${label.toLowerCase()}), and why?`
+    });
+}
+
+/**
+ * Wire the range picker on the Trends panel
+ */
+function initRangePicker() {
+  const picker = document.getElementById('trends-range');
+  const customForm = document.getElementById('trends-custom-range');
+  if (!picker || !customForm || rangePickerInitialized) return;
+  rangePickerInitialized = true;
+
+  picker.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-trends-range]');
+    if (!button) return;
+
+    if (button.dataset.trendsRange === 'custom') {
+      customForm.classList.remove('hidden');
+      customForm.querySelector('input')?.focus();
+    } else {
+      customForm.classList.add('hidden');
+      navigate({ range: button.dataset.trendsRange });
+    }
+  });
+
+  customForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const start = customForm.elements.start.value;
+    const end = customForm.elements.end.value;
+    const error = document.getElementById('trends-custom-error');
+
+    if (!start || !end || start > end) {
+      if (error) error.textContent = 'Pick a start date on or before the end date';
+      return;
+    }
+    if (error) error.textContent = '';
+    navigate({ range: `${start}..${end}` });
+  });
+
+  renderRangePicker();
+}
+
+/**
+ * Wire the interval select and count/percent toggle of the sentiment timeline
+ */
+function initSentimentTimelineControls() {
+  const intervalSelect = document.getElementById('sentiment-timeline-interval');
+  const modeGroup = document.getElementById('sentiment-timeline-mode');
+  if (!intervalSelect || !modeGroup) return;
+
+  const rerender = async () => {
+    const { renderSentimentTimelineChart } = await import('./charts.js');
+    renderSentimentTimelineChart(parseTrendsRange(trendsRange), sentimentTimelineOptions)
+      .catch(error => console.error('Failed to update sentiment timeline:', error));
+  };
+
+  intervalSelect.addEventListener('change', () => {
+    sentimentTimelineOptions.interval = intervalSelect.value || null;
+    rerender();
+  });
+
+  modeGroup.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-timeline-mode]');
+    if (!button) return;
+
+    sentimentTimelineOptions.normalized = button.dataset.timelineMode === 'percent';
+    modeGroup.querySelectorAll('[data-timeline-mode]').forEach(modeButton => {
+      const isActive = modeButton === button;
+      modeButton.setAttribute('aria-pressed', String(isActive));
+      modeButton.className = `px-2.5 py-1 cursor-pointer ${isActive ? 'glass-gold' : 'glass glass-hover'}`;
+      modeButton.style.color = isActive ? 'var(--gold)' : 'var(--text-secondary)';
+    });
+    rerender();
+  });
+}
+
+/**
+ * Highlight the current range in the picker and fill in custom dates
+ */
+function renderRangePicker() {
+  const picker = document.getElementById('trends-range');
+  const customForm = document.getElementById('trends-custom-range');
+  if (!picker || !customForm) return;
+
+  const custom = CUSTOM_RANGE_PATTERN.exec(trendsRange);
+  const activeKey = custom ? 'custom' : trendsRange;
+
+  picker.querySelectorAll('[data-trends-range]').forEach(button => {
+    const isActive = button.dataset.trendsRange === activeKey;
+    button.setAttribute('aria-pressed', String(isActive));
+    button.className = `px-3 py-1 text-xs rounded-full cursor-pointer ${isActive ? 'glass-gold' : 'glass glass-hover'}`;
+    button.style.color = isActive ? 'var(--gold)' : 'var(--text-secondary)';
+  });
+
+  if (custom) {
+    customForm.elements.start.value = custom[1];
+    customForm.elements.end.value = custom[2];
+    customForm.classList.remove('hidden');
+  } else {
+    customForm.classList.add('hidden');
+  }
+}
+
+/**
+ * Load the Entities directory view
+ */
+async function loadDirectoryView() {
+  const directoryPanel = document.querySelector('[data-panel="entities"]');
+  if (!directoryPanel) return;
+
+  try {
+    // Dynamic import to avoid loading the directory code until needed
+    const { renderEntityDirectory } = await import('./directory.js');
+    await renderEntityDirectory();
+  } catch (error) {
+    console.error('Failed to load entity directory:', error);
 
-    // Show error message
     const errorEl = document.createElement('div');
     errorEl.className = 'p-6 border border-red-500 rounded-lg bg-red-900/20 text-red-400';
     errorEl.innerHTML = `
-      <p class="font-bold mb-2">Failed to load trends data</p>
+      <p class="font-bold mb-2">Failed to load the entity directory</p>
       <p class="text-sm">${error.message}</p>
     `;
-    trendsPanel.appendChild(errorEl);
+    directoryPanel.appendChild(errorEl);
   }
 }
 
@@ -159,6 +380,30 @@ async function loadPortfolioView() {
   }
 }
 
+/**
+ * Load the Graph explorer view
+ */
+async function loadGraphView() {
+  const graphPanel = document.querySelector('[data-panel="graph"]');
+  if (!graphPanel) return;
+
+  try {
+    // Dynamic import to avoid loading the graph code until needed
+    const { renderGraphExplorer } = await import('./graph.js');
+    await renderGraphExplorer();
+  } catch (error) {
+    console.error('Failed to load graph view:', error);
+
+    const errorEl = document.createElement('div');
+    errorEl.className = 'p-6 border border-red-500 rounded-lg bg-red-900/20 text-red-400';
+    errorEl.innerHTML = `
+      <p class="font-bold mb-2">Failed to load the knowledge graph</p>
+      <p class="text-sm">${error.message}</p>
+    `;
+    graphPanel.appendChild(errorEl);
+  }
+}
+
 /**
  * Create a loading spinner element
  * @returns {HTMLElement} Spinner element
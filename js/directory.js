@@ -0,0 +1,256 @@
+/**
+ * Entity Directory
+ * Browsable, searchable list of every entity in the knowledge graph with label
+ * filters, sorting and pagination; rows open the entity profile
+ */
+
+import { cachedFetch } from './cache.js';
+import { formatDate, escapeHtml } from './utils.js';
+import { getLabelStyle, showEntityDetail } from './entities.js';
+import { addToCompare } from './compare.js';
+import { renderWatchButton } from './watchlist.js';
+
+// Labels offered as filters ('' shows every label)
+const DIRECTORY_LABELS = ['', 'Company', 'Person', 'Protocol'];
+
+// Rows per page
+const DIRECTORY_PAGE_SIZE = 25;
+
+// Delay after the last keystroke before searching (ms)
+const SEARCH_DEBOUNCE = 250;
+
+// Current query; requestId discards responses for an older query
+const directoryQuery = { q: '', label: '', sort: 'mentions', page: 0 };
+let requestId = 0;
+let debounceId = null;
+let initialized = false;
+
+/**
+ * Initialize the Entities tab and show the first page
+ */
+export async function renderEntityDirectory() {
+  if (!initialized) {
+    initControls();
+    initialized = true;
+  }
+  await loadDirectoryPage();
+}
+
+/**
+ * Wire the search box, label filters, sort select, pagination and row actions
+ */
+function initControls() {
+  const search = document.getElementById('directory-search');
+  const labels = document.getElementById('directory-labels');
+  const sort = document.getElementById('directory-sort');
+  const list = document.getElementById('directory-list');
+  const pagination = document.getElementById('directory-pagination');
+
+  if (search) {
+    search.addEventListener('input', () => {
+      clearTimeout(debounceId);
+      debounceId = setTimeout(() => updateQuery({ q: search.value.trim() }), SEARCH_DEBOUNCE);
+    });
+  }
+
+  if (labels) {
+    renderLabelFilters();
+    labels.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-directory-label]');
+      if (button) {
+        updateQuery({ label: button.dataset.directoryLabel });
+        renderLabelFilters();
+      }
+    });
+  }
+
+  if (sort) {
+    sort.value = directoryQuery.sort;
+    sort.addEventListener('change', () => updateQuery({ sort: sort.value }));
+  }
+
+  if (list) {
+    list.addEventListener('click', (e) => {
+      const compareButton = e.target.closest('[data-directory-compare]');
+      if (compareButton) {
+        addToCompare(compareButton.dataset.directoryCompare);
+        return;
+      }
+
+      // Star buttons are handled by the watchlist
+      if (e.target.closest('[data-watch-entity]')) return;
+
+      const row = e.target.closest('[data-directory-entity]');
+      if (row) {
+        showEntityDetail(row.dataset.directoryEntity);
+      }
+    });
+  }
+
+  if (pagination) {
+    pagination.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-directory-page]');
+      if (button && !button.disabled) {
+        directoryQuery.page = Number(button.dataset.directoryPage);
+        loadDirectoryPage();
+        list?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
+    });
+  }
+}
+
+/**
+ * Change the query and go back to the first page
+ * @param {object} changes - Query keys to change (q, label, sort)
+ */
+function updateQuery(changes) {
+  Object.assign(directoryQuery, changes, { page: 0 });
+  loadDirectoryPage();
+}
+
+/**
+ * Fetch and render the current page of the directory
+ */
+async function loadDirectoryPage() {
+  const list = document.getElementById('directory-list');
+  if (!list) return;
+
+  const currentRequest = ++requestId;
+  list.setAttribute('aria-busy', 'true');
+  if (!list.querySelector('table')) {
+    list.innerHTML = '<p class="p-4 text-sm text-gray-400">Loading entities...</p>';
+  }
+
+  const params = new URLSearchParams({
+    sort: directoryQuery.sort,
+    offset: String(directoryQuery.page * DIRECTORY_PAGE_SIZE),
+    limit: String(DIRECTORY_PAGE_SIZE)
+  });
+  if (directoryQuery.q) params.set('q', directoryQuery.q);
+  if (directoryQuery.label) params.set('label', directoryQuery.label);
+
+  try {
+    const data = await cachedFetch(`/api/entities?${params}`);
+
+    // A newer query was started while loading
+    if (currentRequest !== requestId) return;
+
+    renderDirectoryRows(list, data.entities || []);
+    renderPagination(data.total ?? (data.entities || []).length);
+  } catch (error) {
+    if (currentRequest !== requestId) return;
+    console.error('Failed to load entity directory:', error);
+    list.innerHTML = `
+      <div class="p-6 border border-red-500 rounded-lg bg-red-900/20 text-red-400">
+        <p class="font-bold mb-2">Failed to load entities</p>
+        <p class="text-sm">${escapeHtml(error.message)}</p>
+      </div>
+    `;
+    renderPagination(0);
+  } finally {
+    if (currentRequest === requestId) {
+      list.removeAttribute('aria-busy');
+    }
+  }
+}
+
+/**
+ * Render the entity table
+ * @param {HTMLElement} list - Directory list element
+ * @param {Array} entities - Entities {name, label, mention_count, last_mentioned_at}
+ */
+function renderDirectoryRows(list, entities) {
+  if (entities.length === 0) {
+    list.innerHTML = `
+      <p class="p-6 text-sm text-center" style="color: var(--text-muted);">
+        No entities match${directoryQuery.q ? ` "${escapeHtml(directoryQuery.q)}"` : ''}${directoryQuery.label ? ` in ${escapeHtml(directoryQuery.label)}` : ''}.
+      </p>
+    `;
+    return;
+  }
+
+  const rowsHtml = entities.map(entity => {
+    const style = getLabelStyle(entity.label);
+    const name = escapeHtml(entity.name);
+    const lastMentioned = entity.last_mentioned_at;
+
+    return `
+      <tr data-directory-entity="${name}" class="border-t cursor-pointer glass-hover" style="border-color: var(--border-subtle);" title="Open ${name}">
+        <td class="px-4 py-2">
+          <button type="button" class="font-semibold text-left cursor-pointer hover:underline" style="color: var(--text-primary);"><span aria-hidden="true">${style.icon}</span> ${name}</button>
+        </td>
+        <td class="px-4 py-2">
+          ${entity.label ? `<span class="inline-block px-2 py-0.5 text-xs border rounded-md ${style.className}">${escapeHtml(entity.label)}</span>` : ''}
+        </td>
+        <td class="px-4 py-2 text-right tabular-nums">${entity.mention_count ?? entity.total_mentions ?? 0}</td>
+        <td class="px-4 py-2 text-xs" style="color: var(--text-muted);">${lastMentioned ? formatDate(lastMentioned) : '&mdash;'}</td>
+        <td class="px-4 py-2 text-right whitespace-nowrap">
+          ${renderWatchButton(entity, 'px-1')}
+          <button type="button" data-directory-compare="${name}" title="Add ${name} to comparison" aria-label="Add ${name} to comparison" class="px-1 opacity-60 hover:opacity-100 cursor-pointer">&#8644;</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  list.innerHTML = `
+    <table class="w-full text-sm" style="color: var(--text-secondary);">
+      <thead>
+        <tr class="text-xs uppercase tracking-wide" style="color: var(--text-muted);">
+          <th class="px-4 py-2 text-left font-semibold">Entity</th>
+          <th class="px-4 py-2 text-left font-semibold">Label</th>
+          <th class="px-4 py-2 text-right font-semibold">Mentions</th>
+          <th class="px-4 py-2 text-left font-semibold">Last mentioned</th>
+          <th class="px-4 py-2"><span class="sr-only">Actions</span></th>
+        </tr>
+      </thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render the page summary and previous/next buttons
+ * @param {number} total - Number of entities matching the query
+ */
+function renderPagination(total) {
+  const pagination = document.getElementById('directory-pagination');
+  if (!pagination) return;
+
+  if (total === 0) {
+    pagination.innerHTML = '';
+    return;
+  }
+
+  const pageCount = Math.ceil(total / DIRECTORY_PAGE_SIZE);
+  const { page } = directoryQuery;
+  const first = page * DIRECTORY_PAGE_SIZE + 1;
+  const last = Math.min(total, (page + 1) * DIRECTORY_PAGE_SIZE);
+  const buttonClass = 'px-3 py-1 glass glass-hover rounded cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed';
+
+  pagination.innerHTML = `
+    <span>${first}&ndash;${last} of ${total} entities</span>
+    <span class="flex items-center gap-2">
+      <button type="button" data-directory-page="${page - 1}" class="${buttonClass}" ${page === 0 ? 'disabled' : ''}>&larr; Prev</button>
+      <span>Page ${page + 1} of ${pageCount}</span>
+      <button type="button" data-directory-page="${page + 1}" class="${buttonClass}" ${page >= pageCount - 1 ? 'disabled' : ''}>Next &rarr;</button>
+    </span>
+  `;
+}
+
+/**
+ * Render the label filter buttons, highlighting the active one
+ */
+function renderLabelFilters() {
+  const labels = document.getElementById('directory-labels');
+  if (!labels) return;
+
+  labels.innerHTML = DIRECTORY_LABELS.map(label => {
+    const isActive = label === directoryQuery.label;
+    const icon = label ? `${getLabelStyle(label).icon} ` : '';
+    return `
+      <button type="button" data-directory-label="${label}" aria-pressed="${isActive}"
+              class="px-2.5 py-1 rounded-full cursor-pointer ${isActive ? 'glass-gold' : 'glass glass-hover'}"
+              style="color: ${isActive ? 'var(--gold)' : 'var(--text-secondary)'};">${icon}${label || 'All'}</button>
+    `;
+  }).join('');
+}
@@ -0,0 +1,165 @@
+/**
+ * Chart Drill-down Panel
+ * Side panel listing the articles behind a clicked Trends chart element, with a
+ * shortcut to ask the chat about them
+ */
+
+import { cachedFetch } from './cache.js';
+import { escapeHtml } from './utils.js';
+import { renderArticleCard } from './entities.js';
+import { sendQuestion } from './chat.js';
+import { navigate } from './router.js';
+
+// Articles fetched per page
+const DRILLDOWN_PAGE_SIZE = 20;
+
+// Selection shown in the panel: {filter, windowQuery, question}
+let selection = null;
+
+// Paging state; requestId discards responses for an older selection
+let paging = { offset: 0, total: 0, loading: false, requestId: 0 };
+let initialized = false;
+
+/**
+ * Open the panel with the articles behind a chart element
+ * @param {object} options - Selection
+ * @param {object} options.filter - Article filter, e.g. { topic: 'Restaking' } or { sentiment: 'bearish' }
+ * @param {URLSearchParams} options.windowParams - Time window query parameters of the chart
+ * @param {string} options.windowLabel - Time window description (e.g. "Last 30 Days")
+ * @param {string} options.title - Panel title
+ * @param {string} options.question - Question sent by "Ask about this"
+ */
+export function openDrilldown({ filter, windowParams, windowLabel, title, question }) {
+  const panel = document.getElementById('drilldown-panel');
+  if (!panel) {
+    console.error('Drill-down panel not found');
+    return;
+  }
+
+  if (!initialized) {
+    initPanel(panel);
+    initialized = true;
+  }
+
+  selection = { filter, windowQuery: windowParams.toString(), question };
+
+  document.getElementById('drilldown-title').textContent = title;
+  document.getElementById('drilldown-subtitle').textContent = windowLabel;
+  panel.classList.remove('hidden');
+  document.getElementById('drilldown-close')?.focus();
+
+  loadArticles();
+}
+
+/**
+ * Wire the close button, Escape key, "Load more" and "Ask about this"
+ * @param {HTMLElement} panel - Drill-down panel element
+ */
+function initPanel(panel) {
+  document.getElementById('drilldown-close')?.addEventListener('click', closeDrilldown);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) {
+      closeDrilldown();
+    }
+  });
+
+  document.getElementById('drilldown-ask')?.addEventListener('click', () => {
+    if (!selection) return;
+    const { question } = selection;
+    closeDrilldown();
+    navigate({ tab: 'chat' });
+    sendQuestion(question);
+  });
+
+  document.getElementById('drilldown-articles')?.addEventListener('click', (e) => {
+    if (e.target.closest('#drilldown-more')) {
+      loadArticles({ append: true });
+    }
+  });
+}
+
+/**
+ * Hide the panel
+ */
+function closeDrilldown() {
+  const panel = document.getElementById('drilldown-panel');
+  if (!panel) return;
+
+  panel.classList.add('hidden');
+  selection = null;
+  paging.requestId++;
+}
+
+/**
+ * Load a page of articles for the current selection
+ * @param {object} options - { append } to load the next page instead of starting over
+ */
+async function loadArticles({ append = false } = {}) {
+  const list = document.getElementById('drilldown-articles');
+  const count = document.getElementById('drilldown-count');
+  if (!list || !selection) return;
+
+  if (append) {
+    if (paging.loading || paging.offset >= paging.total) return;
+  } else {
+    paging = { offset: 0, total: 0, loading: false, requestId: paging.requestId };
+    list.innerHTML = '<p class="text-sm text-gray-400">Loading articles...</p>';
+    if (count) count.textContent = '';
+  }
+
+  const requestId = ++paging.requestId;
+  paging.loading = true;
+  const moreButton = list.querySelector('#drilldown-more');
+  if (moreButton) moreButton.textContent = 'Loading...';
+
+  const params = new URLSearchParams(selection.windowQuery);
+  Object.entries(selection.filter).forEach(([key, value]) => params.set(key, value));
+  params.set('offset', String(paging.offset));
+  params.set('limit', String(DRILLDOWN_PAGE_SIZE));
+
+  try {
+    const data = await cachedFetch(`/api/articles?${params}`);
+
+    // Another element was clicked or the panel was closed while loading
+    if (requestId !== paging.requestId) return;
+
+    const articles = data.articles || [];
+    paging.offset += articles.length;
+    paging.total = data.total ?? paging.offset;
+
+    if (!append) {
+      list.innerHTML = '';
+    }
+    list.querySelector('#drilldown-more')?.remove();
+
+    if (paging.offset === 0) {
+      list.innerHTML = '<p class="text-sm text-gray-500">No articles found for this selection.</p>';
+    } else {
+      list.insertAdjacentHTML('beforeend', articles.map(renderArticleCard).join(''));
+      if (paging.offset < paging.total && articles.length > 0) {
+        list.insertAdjacentHTML('beforeend', `
+          <button type="button" id="drilldown-more" class="w-full text-xs py-2 mt-2 glass glass-hover rounded cursor-pointer" style="color: var(--text-secondary);">
+            Load more (${paging.offset} of ${paging.total})
+          </button>
+        `);
+      }
+    }
+
+    if (count) {
+      count.textContent = `${paging.total} ${paging.total === 1 ? 'article' : 'articles'}`;
+    }
+  } catch (error) {
+    if (requestId !== paging.requestId) return;
+    console.error('Failed to load drill-down articles:', error);
+    if (append) {
+      const button = list.querySelector('#drilldown-more');
+      if (button) button.textContent = 'Failed to load more. Try again';
+    } else {
+      list.innerHTML = `<p class="text-sm text-red-400">Failed to load articles: ${escapeHtml(error.message)}</p>`;
+    }
+  } finally {
+    if (requestId === paging.requestId) {
+      paging.loading = false;
+    }
+  }
+}
@@ -3,52 +3,175 @@
  * Renders entity pills in messages and displays detailed entity profiles
  */
 
-import { fetchWithRetry } from './api.js';
-import { API_BASE } from './config.js';
+import { cachedFetch } from './cache.js';
 import { formatDate, escapeHtml } from './utils.js';
+import { addToCompare } from './compare.js';
+import { navigate, navigateBack, getRoute } from './router.js';
+import { renderWatchButton } from './watchlist.js';
+
+// Pill colors and icons per graph label
+const LABEL_STYLES = {
+  Company: { icon: '🏢', className: 'bg-purple-900/40 text-purple-300 border-purple-700' },
+  Person: { icon: '👤', className: 'bg-green-900/40 text-green-300 border-green-700' },
+  Protocol: { icon: '⛓', className: 'bg-blue-900/40 text-blue-300 border-blue-700' }
+};
+const DEFAULT_LABEL_STYLE = { icon: '◆', className: 'bg-gray-900/40 text-gray-300 border-gray-700' };
+
+// Maximum number of heuristic candidates checked against the graph per answer
+const MAX_FALLBACK_CANDIDATES = 8;
+
+// Selectable windows (weeks) for the mention timeline, and the current choice
+const TIMELINE_WINDOWS = [12, 26, 52];
+let timelineWeeks = 12;
+
+// Article list in the profile: page size, filter choices and the current filters
+const ARTICLE_PAGE_SIZE = 20;
+const ARTICLE_SENTIMENTS = ['bullish', 'bearish', 'neutral'];
+const ARTICLE_SORTS = { newest: 'Newest first', oldest: 'Oldest first' };
+const DEFAULT_ARTICLE_FILTERS = { sentiment: '', category: '', start: '', end: '', sort: 'newest' };
+let articleFilters = { ...DEFAULT_ARTICLE_FILTERS };
+
+// Paging state of the article list; requestId discards responses for older filters
+let articlePaging = { entityName: null, offset: 0, total: 0, loading: false, requestId: 0 };
+
+// Entity currently shown in the modal (null when closed)
+let currentEntityName = null;
+
+// Pill renders started, used to drop lookups for a message that changed meanwhile
+let pillRenderCount = 0;
+
+// Graph lookups for heuristic candidates: lowercased name -> Promise<{name, label}|null>
+const verifiedEntities = new Map();
+
+/**
+ * Get the pill color and icon for an entity label
+ * @param {string} label - Graph label (Company, Person, Protocol)
+ * @returns {object} Style {icon, className}
+ */
+export function getLabelStyle(label) {
+  return LABEL_STYLES[label] || DEFAULT_LABEL_STYLE;
+}
+
+/**
+ * Read the entities the backend matched in the graph from the meta event
+ * Accepts plain names or objects ({name|entity_name, label})
+ * @param {object} metaData - Metadata from the SSE meta event
+ * @returns {Array} Entities {name, label}, deduplicated
+ */
+function entitiesFromMeta(metaData) {
+  const rawEntities = metaData && (metaData.entities || metaData.matched_entities);
+  if (!Array.isArray(rawEntities)) return [];
+
+  const seen = new Set();
+  const entities = [];
+  rawEntities.forEach(raw => {
+    const name = typeof raw === 'string' ? raw : raw && (raw.name || raw.entity_name);
+    if (!name || seen.has(name.toLowerCase())) return;
+    seen.add(name.toLowerCase());
+    entities.push({ name, label: typeof raw === 'string' ? null : raw.label || null });
+  });
+  return entities;
+}
 
 /**
  * Extract entity-like names from answer text
- * Uses heuristics to find capitalized multi-word phrases that could be entities
+ * Fallback heuristic for answers without server-matched entities; candidates must
+ * still be verified against the graph before they are shown
  * @param {string} text - The answer text to extract from
- * @returns {Array<string>} Array of potential entity names
+ * @returns {Array<string>} Candidate names, most frequent first
  */
 function extractEntityNames(text) {
   if (!text) return [];
 
-  // Common words to filter out (not entities)
+  // Capitalized words that start sentences or name dates rather than entities
   const stopWords = new Set([
     'The', 'This', 'That', 'These', 'Those', 'What', 'When', 'Where', 'Why', 'How',
     'Here', 'There', 'Yes', 'No', 'Some', 'Many', 'Most', 'All', 'None', 'Each',
     'Every', 'Other', 'Another', 'Such', 'Based', 'According', 'However', 'Therefore',
-    'Additionally', 'Furthermore', 'Moreover', 'Meanwhile', 'Overall', 'Indeed'
+    'Additionally', 'Furthermore', 'Moreover', 'Meanwhile', 'Overall', 'Indeed',
+    'In', 'On', 'At', 'For', 'With', 'From', 'As', 'It', 'Its', 'Their', 'They', 'We',
+    'Total', 'Recent', 'Key', 'Notable', 'Sources', 'Source', 'Summary', 'Note',
+    'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+    'September', 'October', 'November', 'December',
+    'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'
   ]);
 
-  // Extract capitalized multi-word phrases (2+ consecutive capitalized words)
-  // Pattern: match sequences like "Bitcoin", "Ethereum Foundation", "DeFi Protocol"
-  const pattern = /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g;
-  const matches = text.match(pattern) || [];
-
-  // Filter out stop words and deduplicate
-  const entities = new Set();
-  for (const match of matches) {
-    const firstWord = match.split(' ')[0];
-    if (!stopWords.has(firstWord) && match.length > 2) {
-      entities.add(match);
+  // A name word is capitalized ("Bitcoin"), mixed-case ("dYdX", "DeFi") or mixes
+  // letters and digits ("a16z"); a version suffix ("Uniswap v4") stays attached
+  const word = '(?:[A-Z][A-Za-z0-9]+|[a-z]+[A-Z][A-Za-z0-9]*|[a-z]+\\d+[a-z0-9]*)';
+  const pattern = new RegExp(`\\b${word}(?:\\s+${word})*(?:\\s+v\\d+(?:\\.\\d+)*)?\\b`, 'g');
+
+  const counts = new Map();
+  for (const match of text.match(pattern) || []) {
+    // Drop leading stop words ("The Ethereum Foundation" -> "Ethereum Foundation")
+    const words = match.split(/\s+/);
+    while (words.length > 0 && stopWords.has(words[0])) {
+      words.shift();
     }
+    const name = words.join(' ');
+    if (name.length < 3 || stopWords.has(name)) continue;
+    counts.set(name, (counts.get(name) || 0) + 1);
   }
 
-  // Limit to 5 most common entities
-  return Array.from(entities).slice(0, 5);
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([name]) => name);
+}
+
+/**
+ * Check a candidate name against the knowledge graph
+ * Results are cached, so each name is looked up at most once per session
+ * @param {string} name - Candidate entity name
+ * @returns {Promise<object|null>} Entity {name, label} or null if not in the graph
+ */
+function verifyEntity(name) {
+  const key = name.toLowerCase();
+  if (!verifiedEntities.has(key)) {
+    const lookup = cachedFetch(`/api/entities/${encodeURIComponent(name)}/profile`)
+      .then(profile => (profile && profile.found ? { name: profile.entity_name || name, label: profile.label || null } : null))
+      .catch(error => {
+        console.error('Failed to verify entity:', name, error);
+        // Allow another attempt later
+        verifiedEntities.delete(key);
+        return null;
+      });
+    verifiedEntities.set(key, lookup);
+  }
+  return verifiedEntities.get(key);
+}
+
+/**
+ * Build the HTML for an entity pill: the name opens the profile, the star watches the
+ * entity and the "⇄" button adds it to the comparison. Clicks are handled by the
+ * delegates in initEntityModal and initWatchlist
+ * @param {object} entity - Entity {name, label?}
+ * @param {object} options - { count } optional number shown after the name
+ * @returns {string} HTML string
+ */
+export function renderEntityPill(entity, { count = null } = {}) {
+  const style = getLabelStyle(entity.label);
+  const name = escapeHtml(entity.name);
+  const title = entity.label ? `${name} (${escapeHtml(entity.label)})` : name;
+
+  return `
+    <span class="entity-pill inline-flex items-center text-xs border rounded-full mr-2 mb-2 ${style.className}">
+      <button type="button" data-entity-name="${name}" title="${title}" class="inline-flex items-center gap-1 pl-2 pr-1 py-0.5 cursor-pointer">
+        <span aria-hidden="true">${style.icon}</span><span>${name}</span>${count != null ? `<span class="opacity-70">(${count})</span>` : ''}
+      </button>
+      ${renderWatchButton(entity, 'px-1 py-0.5 opacity-80 hover:opacity-100')}
+      <button type="button" data-compare-entity="${name}" title="Add ${name} to comparison" class="pr-2 pl-1 py-0.5 opacity-60 hover:opacity-100 cursor-pointer" aria-label="Add ${name} to comparison">&#8644;</button>
+    </span>
+  `;
 }
 
 /**
  * Render entity pills below a bot message
- * Extracts entity names from the answer text and creates clickable pills
+ * Uses the entities the backend matched in the graph (meta event); for answers
+ * without them, falls back to names found in the answer that exist in the graph
  * @param {HTMLElement} messageEl - The message element containing the answer
- * @param {object} metaData - Metadata from the SSE meta event (optional, not currently used)
+ * @param {object} metaData - Metadata from the SSE meta event (optional)
  */
-export function renderEntityPills(messageEl, metaData = null) {
+export async function renderEntityPills(messageEl, metaData = null) {
   if (!messageEl) return;
 
   const answerContent = messageEl.querySelector('.answer-content');
@@ -56,36 +179,56 @@ export function renderEntityPills(messageEl, metaData = null) {
 
   if (!answerContent || !entitiesContainer) return;
 
-  // Extract entity names from the rendered answer text
-  const answerText = answerContent.innerText || answerContent.textContent;
-  const entityNames = extractEntityNames(answerText);
+  // Latest render for this message; an older lookup finishing later is dropped
+  const renderId = String(++pillRenderCount);
+  entitiesContainer.dataset.pillRender = renderId;
+
+  let entities = entitiesFromMeta(metaData);
 
-  if (entityNames.length === 0) {
+  if (entities.length === 0) {
+    // Extract candidates from the rendered answer text and keep those in the graph
+    const answerText = answerContent.innerText || answerContent.textContent;
+    const candidates = extractEntityNames(answerText).slice(0, MAX_FALLBACK_CANDIDATES);
+    const verified = await Promise.all(candidates.map(verifyEntity));
+
+    // The message was reset, regenerated or rendered again while verifying
+    const currentText = answerContent.innerText || answerContent.textContent;
+    if (entitiesContainer.dataset.pillRender !== renderId || currentText !== answerText) return;
+
+    const seen = new Set();
+    entities = verified.filter(entity => {
+      if (!entity || seen.has(entity.name)) return false;
+      seen.add(entity.name);
+      return true;
+    });
+  }
+
+  if (entities.length === 0) {
     // No entities found, keep container hidden
     return;
   }
 
   // Create pills for each entity
-  entitiesContainer.innerHTML = '';
-  entityNames.forEach(entityName => {
-    const pill = document.createElement('span');
-    pill.className = 'inline-block px-2 py-0.5 text-xs glass-gold rounded-full cursor-pointer transition-colors mr-2 mb-2';
-    pill.style.color = 'var(--gold)';
-    pill.textContent = entityName;
-    pill.addEventListener('click', () => showEntityDetail(entityName));
-    entitiesContainer.appendChild(pill);
-  });
+  entitiesContainer.innerHTML = entities.map(entity => renderEntityPill(entity)).join('');
 
   // Show the container
   entitiesContainer.classList.remove('hidden');
 }
 
 /**
- * Show entity detail modal with profile data
+ * Show an entity's profile, giving it its own URL (back closes it again)
+ * @param {string} entityName - Name of the entity to show
+ */
+export function showEntityDetail(entityName) {
+  navigate({ entity: entityName, company: null });
+}
+
+/**
+ * Open the entity modal with profile data (called by the router)
  * Fetches entity profile from API and displays in modal
  * @param {string} entityName - Name of the entity to show
  */
-export async function showEntityDetail(entityName) {
+export async function openEntityProfile(entityName) {
   const modal = document.getElementById('entity-modal');
   const modalTitle = document.getElementById('entity-modal-title');
   const modalContent = document.getElementById('entity-modal-content');
@@ -95,8 +238,12 @@ export async function showEntityDetail(entityName) {
     return;
   }
 
-  // Show modal
+  // Show modal (filters of the article list start fresh for each entity)
   modal.classList.remove('hidden');
+  if (currentEntityName !== entityName) {
+    articleFilters = { ...DEFAULT_ARTICLE_FILTERS };
+  }
+  currentEntityName = entityName;
 
   // Prevent body scroll
   document.body.style.overflow = 'hidden';
@@ -113,20 +260,19 @@ export async function showEntityDetail(entityName) {
     </div>
   `;
 
-  // Push state for browser back button support
-  history.pushState({ modal: 'entity', entityName }, '', `#entity-${encodeURIComponent(entityName)}`);
-
   try {
-    // Fetch entity profile
-    const response = await fetchWithRetry(
-      `${API_BASE}/api/entities/${encodeURIComponent(entityName)}/profile`
-    );
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch entity profile: ${response.status}`);
-    }
+    // Fetch entity profile (cached profiles show instantly and refresh in the background)
+    const profile = await cachedFetch(`/api/entities/${encodeURIComponent(entityName)}/profile`, {
+      // Only the summary sections change; the timeline and article pages are left as they are
+      onRevalidate: (freshProfile) => {
+        if (currentEntityName === entityName && freshProfile.found) {
+          updateEntityProfileSummary(freshProfile);
+        }
+      }
+    });
 
-    const profile = await response.json();
+    // Another entity was opened while loading
+    if (currentEntityName !== entityName) return;
 
     if (!profile.found) {
       // Entity not found
@@ -160,21 +306,67 @@ export async function showEntityDetail(entityName) {
  * @param {object} profile - Entity profile data from API
  */
 function renderEntityProfile(titleEl, contentEl, profile) {
-  const { entity_name, label, total_mentions, sentiment_breakdown, category_breakdown, co_occurring_entities, recent_articles } = profile;
+  const { entity_name, label, category_breakdown } = profile;
 
   // Update title with label badge
-  const labelColors = {
-    Company: 'bg-purple-900/40 text-purple-300 border-purple-700',
-    Person: 'bg-green-900/40 text-green-300 border-green-700',
-    Protocol: 'bg-blue-900/40 text-blue-300 border-blue-700'
-  };
-  const labelClass = labelColors[label] || 'bg-gray-900/40 text-gray-300 border-gray-700';
+  const labelStyle = getLabelStyle(label);
 
   titleEl.innerHTML = `
     <span class="mr-3">${escapeHtml(entity_name)}</span>
-    <span class="inline-block px-2 py-1 text-xs ${labelClass} border rounded-md">${escapeHtml(label)}</span>
+    <span class="inline-block px-2 py-1 text-xs ${labelStyle.className} border rounded-md">${labelStyle.icon} ${escapeHtml(label)}</span>
+    ${renderWatchButton({ name: entity_name, label }, 'ml-2 text-xl align-middle')}
+  `;
+
+  // Articles (pages are loaded from the API after the content is in place)
+  const articlesHtml = renderArticlesSection(category_breakdown);
+
+  // Weekly mention timeline (chart is rendered after the content is in place)
+  const timelineHtml = renderTimelineSection(entity_name);
+
+  // Combine all sections
+  contentEl.innerHTML = `
+    <div id="entity-profile-stats">${renderProfileStats(profile)}</div>
+    ${timelineHtml}
+    <div id="entity-profile-breakdowns">${renderProfileBreakdowns(profile)}</div>
+    ${articlesHtml}
   `;
 
+  const windowSelect = document.getElementById('entity-timeline-weeks');
+  if (windowSelect) {
+    windowSelect.addEventListener('change', () => {
+      timelineWeeks = Number(windowSelect.value);
+      loadEntityTimeline(entity_name);
+    });
+  }
+  loadEntityTimeline(entity_name);
+
+  bindArticleControls(contentEl, entity_name);
+  loadEntityArticles(entity_name);
+}
+
+/**
+ * Refresh the stats and breakdown sections of the open profile with newer data
+ * @param {object} profile - Entity profile data from API
+ */
+function updateEntityProfileSummary(profile) {
+  const statsEl = document.getElementById('entity-profile-stats');
+  const breakdownsEl = document.getElementById('entity-profile-breakdowns');
+  if (statsEl) {
+    statsEl.innerHTML = renderProfileStats(profile);
+  }
+  if (breakdownsEl) {
+    breakdownsEl.innerHTML = renderProfileBreakdowns(profile);
+  }
+}
+
+/**
+ * Render the stats row: total mentions and dominant sentiment
+ * @param {object} profile - Entity profile data from API
+ * @returns {string} HTML string
+ */
+function renderProfileStats(profile) {
+  const { total_mentions, sentiment_breakdown } = profile;
+
   // Calculate dominant sentiment
   let dominantSentiment = 'neutral';
   let maxCount = 0;
@@ -185,8 +377,7 @@ function renderEntityProfile(titleEl, contentEl, profile) {
     }
   }
 
-  // Stats row
-  const statsHtml = `
+  return `
     <div class="grid grid-cols-2 gap-4 mb-6">
       <div class="glass rounded-lg p-3">
         <div class="text-xs mb-1" style="color: var(--text-secondary);">Total Mentions</div>
@@ -198,29 +389,105 @@ function renderEntityProfile(titleEl, contentEl, profile) {
       </div>
     </div>
   `;
+}
 
-  // Sentiment breakdown (horizontal bar)
-  const sentimentHtml = renderSentimentBreakdown(sentiment_breakdown, total_mentions);
-
-  // Category breakdown
-  const categoryHtml = renderCategoryBreakdown(category_breakdown);
+/**
+ * Render the sentiment, category and co-occurring entity sections
+ * @param {object} profile - Entity profile data from API
+ * @returns {string} HTML string
+ */
+function renderProfileBreakdowns(profile) {
+  const { total_mentions, sentiment_breakdown, category_breakdown, co_occurring_entities } = profile;
 
-  // Co-occurring entities
-  const coEntitiesHtml = renderCoOccurringEntities(co_occurring_entities);
+  return `
+    ${renderSentimentBreakdown(sentiment_breakdown, total_mentions)}
+    ${renderCategoryBreakdown(category_breakdown)}
+    ${renderCoOccurringEntities(co_occurring_entities)}
+  `;
+}
 
-  // Recent articles
-  const articlesHtml = renderRecentArticles(recent_articles);
+/**
+ * Render the timeline section shell: window picker, chart canvas and week article list
+ * @param {string} entityName - Entity shown in the modal
+ * @returns {string} HTML string
+ */
+function renderTimelineSection(entityName) {
+  const optionsHtml = TIMELINE_WINDOWS
+    .map(weeks => `<option value="${weeks}" ${weeks === timelineWeeks ? 'selected' : ''}>Last ${weeks} weeks</option>`)
+    .join('');
 
-  // Combine all sections
-  contentEl.innerHTML = `
-    ${statsHtml}
-    ${sentimentHtml}
-    ${categoryHtml}
-    ${coEntitiesHtml}
-    ${articlesHtml}
+  return `
+    <div class="mb-6">
+      <div class="flex justify-between items-center mb-2">
+        <h3 class="text-sm font-semibold" style="color: var(--text-secondary);">Weekly Mentions</h3>
+        <select id="entity-timeline-weeks" class="glass text-xs px-2 py-1 cursor-pointer" style="color: var(--text-primary); background: var(--bg-deep);" aria-label="Timeline window">
+          ${optionsHtml}
+        </select>
+      </div>
+      <div class="glass rounded-lg p-3" style="height:220px">
+        <canvas id="entity-timeline-chart" data-entity="${escapeHtml(entityName)}" aria-label="Weekly mentions of ${escapeHtml(entityName)} by sentiment"></canvas>
+      </div>
+      <p class="text-xs mt-1" style="color: var(--text-muted);">Click a week to see its articles.</p>
+      <div id="entity-timeline-articles" class="mt-2"></div>
+    </div>
   `;
 }
 
+/**
+ * Load the weekly mention chart for the entity in the modal
+ * @param {string} entityName - Entity shown in the modal
+ */
+async function loadEntityTimeline(entityName) {
+  const weekArticles = document.getElementById('entity-timeline-articles');
+  if (weekArticles) {
+    weekArticles.innerHTML = '';
+  }
+
+  try {
+    // Dynamic import to avoid loading chart code until needed
+    const { renderEntityTimelineChart } = await import('./charts.js');
+    await renderEntityTimelineChart(entityName, timelineWeeks, (week) => showWeekArticles(entityName, week));
+  } catch (error) {
+    // The chart shows its own error state
+    console.error('Failed to load entity timeline:', error);
+  }
+}
+
+/**
+ * List the articles mentioning an entity during one week of the timeline
+ * @param {string} entityName - Entity shown in the modal
+ * @param {object} week - {start: Date, end: Date}
+ */
+async function showWeekArticles(entityName, week) {
+  const container = document.getElementById('entity-timeline-articles');
+  if (!container) return;
+
+  // Weeks start at UTC midnight on Monday; local time would show the Sunday before west of UTC
+  const weekStart = week.start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  const heading = `Week of ${weekStart}`;
+  container.innerHTML = `<p class="text-xs text-gray-400">Loading articles for ${escapeHtml(heading.toLowerCase())}...</p>`;
+
+  try {
+    const params = new URLSearchParams({ start: week.start.toISOString(), end: week.end.toISOString() });
+    const data = await cachedFetch(`/api/entities/${encodeURIComponent(entityName)}/articles?${params}`);
+    const articles = data.articles || [];
+
+    // The modal may have moved on to another entity while loading
+    const canvas = document.getElementById('entity-timeline-chart');
+    if (!canvas || canvas.dataset.entity !== entityName) return;
+
+    container.innerHTML = `
+      <h4 class="text-xs font-semibold mb-1" style="color: var(--text-secondary);">${escapeHtml(heading)} &middot; ${data.total ?? articles.length} articles</h4>
+      ${articles.length > 0
+        ? `<div class="glass rounded-lg p-3 max-h-64 overflow-y-auto">${articles.map(renderArticleCard).join('')}</div>`
+        : '<p class="text-xs text-gray-500">No articles this week.</p>'}
+    `;
+  } catch (error) {
+    console.error('Failed to load week articles:', error);
+    container.innerHTML = `<p class="text-xs text-red-400">Failed to load articles: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
 /**
  * Render sentiment breakdown as horizontal bar chart
  * @param {object} sentimentBreakdown - Sentiment counts
@@ -244,14 +511,14 @@ function renderSentimentBreakdown(sentimentBreakdown, total) {
     <div class="mb-6">
       <h3 class="text-sm font-semibold mb-2" style="color: var(--text-secondary);">Sentiment Breakdown</h3>
       <div class="flex h-8 rounded-lg overflow-hidden">
-        ${bullish > 0 ? `<div class="bg-green-600 flex items-center justify-center text-white text-xs font-medium" style="width: ${bullishPct}%">${bullishPct > 10 ? bullishPct + '%' : ''}</div>` : ''}
-        ${bearish > 0 ? `<div class="bg-red-600 flex items-center justify-center text-white text-xs font-medium" style="width: ${bearishPct}%">${bearishPct > 10 ? bearishPct + '%' : ''}</div>` : ''}
-        ${neutral > 0 ? `<div class="bg-gray-600 flex items-center justify-center text-white text-xs font-medium" style="width: ${neutralPct}%">${neutralPct > 10 ? neutralPct + '%' : ''}</div>` : ''}
+        ${bullish > 0 ? `<div data-article-filter="sentiment" data-filter-value="bullish" title="Show bullish articles" class="bg-green-600 flex items-center justify-center text-white text-xs font-medium cursor-pointer hover:brightness-125" style="width: ${bullishPct}%">${bullishPct > 10 ? bullishPct + '%' : ''}</div>` : ''}
+        ${bearish > 0 ? `<div data-article-filter="sentiment" data-filter-value="bearish" title="Show bearish articles" class="bg-red-600 flex items-center justify-center text-white text-xs font-medium cursor-pointer hover:brightness-125" style="width: ${bearishPct}%">${bearishPct > 10 ? bearishPct + '%' : ''}</div>` : ''}
+        ${neutral > 0 ? `<div data-article-filter="sentiment" data-filter-value="neutral" title="Show neutral articles" class="bg-gray-600 flex items-center justify-center text-white text-xs font-medium cursor-pointer hover:brightness-125" style="width: ${neutralPct}%">${neutralPct > 10 ? neutralPct + '%' : ''}</div>` : ''}
       </div>
       <div class="flex justify-between mt-2 text-xs">
-        <span class="text-green-400">Bullish: ${bullish}</span>
-        <span class="text-red-400">Bearish: ${bearish}</span>
-        <span class="text-gray-400">Neutral: ${neutral}</span>
+        <button type="button" data-article-filter="sentiment" data-filter-value="bullish" class="text-green-400 cursor-pointer hover:underline">Bullish: ${bullish}</button>
+        <button type="button" data-article-filter="sentiment" data-filter-value="bearish" class="text-red-400 cursor-pointer hover:underline">Bearish: ${bearish}</button>
+        <button type="button" data-article-filter="sentiment" data-filter-value="neutral" class="text-gray-400 cursor-pointer hover:underline">Neutral: ${neutral}</button>
       </div>
     </div>
   `;
@@ -271,10 +538,11 @@ function renderCategoryBreakdown(categoryBreakdown) {
     .sort((a, b) => b[1] - a[1]) // Sort by count descending
     .slice(0, 5) // Top 5 categories
     .map(([category, count]) => `
-      <div class="flex justify-between items-center py-1">
+      <button type="button" data-article-filter="category" data-filter-value="${escapeHtml(category)}" title="Show ${escapeHtml(category)} articles"
+              class="w-full flex justify-between items-center py-1 cursor-pointer hover:underline">
         <span class="text-gray-300 capitalize">${escapeHtml(category)}</span>
         <span class="text-gray-500 text-sm">${count}</span>
-      </div>
+      </button>
     `)
     .join('');
 
@@ -300,11 +568,10 @@ function renderCoOccurringEntities(coEntities) {
 
   const pillsHtml = coEntities
     .slice(0, 10) // Limit to 10
-    .map(entity => {
-      const name = entity.entity_name || entity.name;
-      const count = entity.co_occurrence_count || entity.count || 0;
-      return `<span class="inline-block px-2 py-1 text-xs glass-gold rounded-full cursor-pointer transition-colors mr-2 mb-2" style="color: var(--gold);" data-entity-name="${escapeHtml(name)}">${escapeHtml(name)} (${count})</span>`;
-    })
+    .map(entity => renderEntityPill(
+      { name: entity.entity_name || entity.name, label: entity.label },
+      { count: entity.co_occurrence_count || entity.count || 0 }
+    ))
     .join('');
 
   return `
@@ -318,67 +585,267 @@ function renderCoOccurringEntities(coEntities) {
 }
 
 /**
- * Render recent articles list
- * @param {Array} articles - Array of article objects
+ * Render the article section shell: filters, sort and the (initially empty) list
+ * @param {object} categoryBreakdown - Category counts, used for the category filter
  * @returns {string} HTML string
  */
-function renderRecentArticles(articles) {
-  if (!articles || articles.length === 0) {
-    return '';
+function renderArticlesSection(categoryBreakdown) {
+  const categories = Object.keys(categoryBreakdown || {}).sort();
+  if (articleFilters.category && !categories.includes(articleFilters.category)) {
+    categories.push(articleFilters.category);
   }
 
-  const articlesHtml = articles
-    .slice(0, 10) // Limit to 10
-    .map(article => {
-      const title = article.title || 'Untitled';
-      const url = article.url;
-      const publishedAt = article.published_at;
-      const sentiment = article.sentiment;
-      const category = article.category;
-
-      const sentimentColors = {
-        bullish: 'text-green-400',
-        bearish: 'text-red-400',
-        neutral: 'text-gray-400'
-      };
-      const sentimentClass = sentimentColors[sentiment] || 'text-gray-400';
-
-      const titleHtml = url
-        ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="hover:underline" style="color: var(--gold);">${escapeHtml(title)}</a>`
-        : `<span style="color: var(--text-primary);">${escapeHtml(title)}</span>`;
-
-      return `
-        <div class="border-b border-gray-700 py-3 last:border-0">
-          <div class="mb-1">${titleHtml}</div>
-          <div class="flex gap-3 text-xs text-gray-500">
-            ${publishedAt ? `<span>${formatDate(publishedAt)}</span>` : ''}
-            ${sentiment ? `<span class="${sentimentClass} capitalize">${sentiment}</span>` : ''}
-            ${category ? `<span class="capitalize">${escapeHtml(category)}</span>` : ''}
-          </div>
-        </div>
-      `;
-    })
-    .join('');
+  const option = (value, text, selected) => `<option value="${escapeHtml(value)}" ${selected ? 'selected' : ''}>${escapeHtml(text)}</option>`;
+  const controlClass = 'glass text-xs px-2 py-1 cursor-pointer';
+  const controlStyle = 'color: var(--text-primary); background: var(--bg-deep);';
+
+  return `
+    <div class="mb-4" id="entity-articles-section">
+      <div class="flex justify-between items-center mb-2">
+        <h3 class="text-sm font-semibold" style="color: var(--text-secondary);">Articles</h3>
+        <span id="entity-articles-count" class="text-xs" style="color: var(--text-muted);"></span>
+      </div>
+      <div class="flex flex-wrap items-center gap-2 mb-2">
+        <select id="entity-articles-sentiment" class="${controlClass} capitalize" style="${controlStyle}" aria-label="Filter by sentiment">
+          ${option('', 'All sentiments', !articleFilters.sentiment)}
+          ${ARTICLE_SENTIMENTS.map(sentiment => option(sentiment, sentiment, sentiment === articleFilters.sentiment)).join('')}
+        </select>
+        <select id="entity-articles-category" class="${controlClass} capitalize" style="${controlStyle}" aria-label="Filter by category">
+          ${option('', 'All categories', !articleFilters.category)}
+          ${categories.map(category => option(category, category, category === articleFilters.category)).join('')}
+        </select>
+        <input type="date" id="entity-articles-start" value="${escapeHtml(articleFilters.start)}" class="${controlClass}" style="${controlStyle}" aria-label="From date">
+        <input type="date" id="entity-articles-end" value="${escapeHtml(articleFilters.end)}" class="${controlClass}" style="${controlStyle}" aria-label="To date">
+        <select id="entity-articles-sort" class="${controlClass}" style="${controlStyle}" aria-label="Sort articles">
+          ${Object.entries(ARTICLE_SORTS).map(([value, text]) => option(value, text, value === articleFilters.sort)).join('')}
+        </select>
+        <button type="button" id="entity-articles-clear" class="text-xs px-2 py-1 glass glass-hover rounded cursor-pointer ${hasArticleFilters() ? '' : 'hidden'}" style="color: var(--text-secondary);">Clear filters</button>
+      </div>
+      <div id="entity-articles-list" class="glass rounded-lg p-3 max-h-96 overflow-y-auto"></div>
+    </div>
+  `;
+}
+
+/**
+ * Wire the article filters, the clickable sentiment/category breakdowns and infinite scroll
+ * @param {HTMLElement} contentEl - Modal content element
+ * @param {string} entityName - Entity shown in the modal
+ */
+function bindArticleControls(contentEl, entityName) {
+  const controls = {
+    sentiment: document.getElementById('entity-articles-sentiment'),
+    category: document.getElementById('entity-articles-category'),
+    start: document.getElementById('entity-articles-start'),
+    end: document.getElementById('entity-articles-end'),
+    sort: document.getElementById('entity-articles-sort')
+  };
+  const list = document.getElementById('entity-articles-list');
+  if (!list || Object.values(controls).some(control => !control)) return;
+
+  const applyFilters = (changes) => {
+    articleFilters = { ...articleFilters, ...changes };
+    Object.entries(controls).forEach(([key, control]) => { control.value = articleFilters[key]; });
+    document.getElementById('entity-articles-clear')?.classList.toggle('hidden', !hasArticleFilters());
+    loadEntityArticles(entityName);
+  };
+
+  Object.entries(controls).forEach(([key, control]) => {
+    control.addEventListener('change', () => applyFilters({ [key]: control.value }));
+  });
+
+  document.getElementById('entity-articles-clear')?.addEventListener('click', () => {
+    applyFilters({ ...DEFAULT_ARTICLE_FILTERS });
+  });
+
+  // Sentiment bar segments and category rows filter the list (clicking the active one clears it)
+  contentEl.querySelectorAll('[data-article-filter]').forEach(el => {
+    el.addEventListener('click', () => {
+      const key = el.dataset.articleFilter;
+      const value = el.dataset.filterValue;
+      applyFilters({ [key]: articleFilters[key] === value ? '' : value });
+      document.getElementById('entity-articles-section')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    });
+  });
+
+  // Load the next page when the list is scrolled near its end
+  list.addEventListener('scroll', () => {
+    if (list.scrollTop + list.clientHeight >= list.scrollHeight - 60) {
+      loadEntityArticles(entityName, { append: true });
+    }
+  });
+  list.addEventListener('click', (e) => {
+    if (e.target.closest('#entity-articles-more')) {
+      loadEntityArticles(entityName, { append: true });
+    }
+  });
+}
+
+/**
+ * Load a page of the entity's articles with the current filters
+ * @param {string} entityName - Entity shown in the modal
+ * @param {object} options - { append } to load the next page instead of starting over
+ */
+async function loadEntityArticles(entityName, { append = false } = {}) {
+  const list = document.getElementById('entity-articles-list');
+  const count = document.getElementById('entity-articles-count');
+  if (!list) return;
+
+  if (append) {
+    const hasMore = articlePaging.entityName === entityName && articlePaging.offset < articlePaging.total;
+    if (articlePaging.loading || !hasMore) return;
+  } else {
+    articlePaging = { entityName, offset: 0, total: 0, loading: false, requestId: articlePaging.requestId };
+    list.innerHTML = '<p class="text-xs text-gray-400">Loading articles...</p>';
+  }
+
+  const requestId = ++articlePaging.requestId;
+  articlePaging.loading = true;
+  setLoadMoreState(list, 'Loading...');
+
+  try {
+    const data = await cachedFetch(`/api/entities/${encodeURIComponent(entityName)}/articles?${articleQuery(articlePaging.offset)}`);
+
+    // Filters changed or another entity was opened while loading
+    if (requestId !== articlePaging.requestId || currentEntityName !== entityName) return;
+
+    const articles = data.articles || [];
+    articlePaging.offset += articles.length;
+    articlePaging.total = data.total ?? articlePaging.offset;
+
+    if (!append) {
+      list.innerHTML = '';
+    }
+    list.querySelector('#entity-articles-more')?.remove();
+
+    if (articlePaging.offset === 0) {
+      list.innerHTML = `<p class="text-xs text-gray-500">${hasArticleFilters() ? 'No articles match these filters.' : 'No articles yet.'}</p>`;
+    } else {
+      list.insertAdjacentHTML('beforeend', articles.map(renderArticleCard).join(''));
+      if (articlePaging.offset < articlePaging.total && articles.length > 0) {
+        list.insertAdjacentHTML('beforeend', `
+          <button type="button" id="entity-articles-more" class="w-full text-xs py-2 mt-2 glass glass-hover rounded cursor-pointer" style="color: var(--text-secondary);">
+            Load more (${articlePaging.offset} of ${articlePaging.total})
+          </button>
+        `);
+      }
+    }
+
+    if (count) {
+      count.textContent = `${articlePaging.total} ${hasArticleFilters() ? 'matching' : 'total'}`;
+    }
+  } catch (error) {
+    if (requestId !== articlePaging.requestId) return;
+    console.error('Failed to load entity articles:', error);
+    if (append) {
+      setLoadMoreState(list, 'Failed to load more. Try again');
+    } else {
+      list.innerHTML = `<p class="text-xs text-red-400">Failed to load articles: ${escapeHtml(error.message)}</p>`;
+    }
+  } finally {
+    if (requestId === articlePaging.requestId) {
+      articlePaging.loading = false;
+    }
+  }
+}
+
+/**
+ * Query string for a page of the article list with the current filters
+ * Dates are whole local days; the end date is inclusive
+ * @param {number} offset - Index of the first article
+ * @returns {URLSearchParams} Query parameters
+ */
+function articleQuery(offset) {
+  const params = new URLSearchParams({ offset: String(offset), limit: String(ARTICLE_PAGE_SIZE), sort: articleFilters.sort });
+  if (articleFilters.sentiment) params.set('sentiment', articleFilters.sentiment);
+  if (articleFilters.category) params.set('category', articleFilters.category);
+  if (articleFilters.start) {
+    params.set('start', new Date(`${articleFilters.start}T00:00:00`).toISOString());
+  }
+  if (articleFilters.end) {
+    const end = new Date(`${articleFilters.end}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    params.set('end', end.toISOString());
+  }
+  return params;
+}
+
+/**
+ * @returns {boolean} True if any article filter differs from the defaults
+ */
+function hasArticleFilters() {
+  return ['sentiment', 'category', 'start', 'end'].some(key => articleFilters[key] !== DEFAULT_ARTICLE_FILTERS[key]);
+}
+
+/**
+ * Update the label of the "Load more" button, if shown
+ * @param {HTMLElement} list - Article list element
+ * @param {string} text - Button text
+ */
+function setLoadMoreState(list, text) {
+  const button = list.querySelector('#entity-articles-more');
+  if (button) {
+    button.textContent = text;
+  }
+}
+
+/**
+ * Render a single article row: linked title, date, sentiment and category
+ * @param {object} article - Article {title, url?, published_at?, sentiment?, category?}
+ * @returns {string} HTML string
+ */
+export function renderArticleCard(article) {
+  const title = article.title || 'Untitled';
+  const url = article.url;
+  const publishedAt = article.published_at;
+  const sentiment = article.sentiment;
+  const category = article.category;
+
+  const sentimentColors = {
+    bullish: 'text-green-400',
+    bearish: 'text-red-400',
+    neutral: 'text-gray-400'
+  };
+  const sentimentClass = sentimentColors[sentiment] || 'text-gray-400';
+
+  const titleHtml = url
+    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="hover:underline" style="color: var(--gold);">${escapeHtml(title)}</a>`
+    : `<span style="color: var(--text-primary);">${escapeHtml(title)}</span>`;
 
   return `
-    <div class="mb-4">
-      <h3 class="text-sm font-semibold mb-2" style="color: var(--text-secondary);">Recent Articles</h3>
-      <div class="glass rounded-lg p-3 max-h-64 overflow-y-auto">
-        ${articlesHtml}
+    <div class="border-b border-gray-700 py-3 last:border-0">
+      <div class="mb-1">${titleHtml}</div>
+      <div class="flex gap-3 text-xs text-gray-500">
+        ${publishedAt ? `<span>${formatDate(publishedAt)}</span>` : ''}
+        ${sentiment ? `<span class="${sentimentClass} capitalize">${escapeHtml(sentiment)}</span>` : ''}
+        ${category ? `<span class="capitalize">${escapeHtml(category)}</span>` : ''}
       </div>
     </div>
   `;
 }
 
 /**
- * Close the entity modal
+ * Close the entity modal (also used for company details) and drop it from the URL
+ * without leaving an entry that Back would reopen
  */
 export function closeEntityModal() {
+  const route = getRoute();
+  if (route.entity || route.company) {
+    navigateBack({ entity: null, company: null });
+  } else {
+    hideEntityModal();
+  }
+}
+
+/**
+ * Hide the entity modal (called by the router)
+ */
+export function hideEntityModal() {
   const modal = document.getElementById('entity-modal');
   if (!modal) return;
 
   // Hide modal
   modal.classList.add('hidden');
+  currentEntityName = null;
 
   // Re-enable body scroll
   document.body.style.overflow = '';
@@ -388,11 +855,6 @@ export function closeEntityModal() {
   if (modalContent) {
     modalContent.innerHTML = '';
   }
-
-  // Remove hash from URL if it's an entity hash
-  if (window.location.hash.startsWith('#entity-')) {
-    history.back();
-  }
 }
 
 /**
@@ -425,20 +887,17 @@ export function initEntityModal() {
     }
   });
 
-  // Browser back button handler (popstate)
-  window.addEventListener('popstate', (e) => {
-    if (!modal.classList.contains('hidden')) {
-      closeEntityModal();
+  // Delegate click handler for entity pills (answers, co-occurring entities, comparison)
+  document.addEventListener('click', (e) => {
+    const compareButton = e.target.closest('.entity-pill [data-compare-entity]');
+    if (compareButton) {
+      addToCompare(compareButton.dataset.compareEntity);
+      return;
     }
-  });
 
-  // Delegate click handler for co-occurring entity pills
-  document.addEventListener('click', (e) => {
-    if (e.target.matches('#co-entities-pills span[data-entity-name]')) {
-      const entityName = e.target.dataset.entityName;
-      if (entityName) {
-        showEntityDetail(entityName);
-      }
+    const pillButton = e.target.closest('.entity-pill [data-entity-name]');
+    if (pillButton && pillButton.dataset.entityName) {
+      showEntityDetail(pillButton.dataset.entityName);
     }
   });
 }
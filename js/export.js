@@ -0,0 +1,281 @@
+/**
+ * Conversation Export
+ * Exports a single answer or a whole conversation as Markdown, HTML or JSON
+ */
+
+import { formatDate, escapeHtml, sanitizeAndRender } from './utils.js';
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown (.md)', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML report (.html)', extension: 'html', mimeType: 'text/html' },
+  json: { label: 'JSON with metadata (.json)', extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * Export turns to a file and download it
+ * @param {object} exportData - { title, turns: [{question, answer, sources, meta, ...}] }
+ * @param {string} format - 'markdown', 'html' or 'json'
+ */
+export function exportConversation(exportData, format) {
+  const config = EXPORT_FORMATS[format];
+  if (!config) {
+    console.error('Unknown export format:', format);
+    return;
+  }
+
+  // Unanswered turns have nothing to export
+  const turns = exportData.turns.filter(turn => turn.status !== 'error' && turn.status !== 'pending');
+  if (turns.length === 0) return;
+
+  const title = exportData.title || turns[0].question;
+  const data = { title, turns };
+
+  let content;
+  if (format === 'markdown') {
+    content = toMarkdown(data);
+  } else if (format === 'html') {
+    content = toHtml(data);
+  } else {
+    content = toJson(data);
+  }
+
+  downloadFile(`${slugify(title)}-${new Date().toISOString().slice(0, 10)}.${config.extension}`, content, config.mimeType);
+}
+
+/**
+ * Show a small menu of export formats next to a button
+ * @param {HTMLElement} anchor - The button that opened the menu
+ * @param {function} onSelect - Callback(format) when a format is chosen
+ * @param {object} formats - Menu entries by format ({label}); defaults to the conversation formats
+ */
+export function showExportMenu(anchor, onSelect, formats = EXPORT_FORMATS) {
+  closeExportMenu();
+
+  const menu = document.createElement('div');
+  menu.id = 'export-menu';
+  menu.className = 'glass fixed z-50 py-1 text-xs shadow-lg';
+  menu.style.background = 'var(--bg-deep)';
+  menu.setAttribute('role', 'menu');
+
+  Object.entries(formats).forEach(([format, config]) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'block w-full text-left px-3 py-1.5 glass-hover cursor-pointer';
+    item.style.color = 'var(--text-primary)';
+    item.setAttribute('role', 'menuitem');
+    item.textContent = config.label;
+    item.addEventListener('click', () => {
+      closeExportMenu();
+      onSelect(format);
+    });
+    menu.appendChild(item);
+  });
+
+  document.body.appendChild(menu);
+
+  // Position below the button, flipped above if there is no room
+  const rect = anchor.getBoundingClientRect();
+  const menuRect = menu.getBoundingClientRect();
+  const top = rect.bottom + menuRect.height + 4 > window.innerHeight ? rect.top - menuRect.height - 4 : rect.bottom + 4;
+  menu.style.left = `${Math.min(rect.left, window.innerWidth - menuRect.width - 8)}px`;
+  menu.style.top = `${top}px`;
+
+  // Close on the next outside click or Escape
+  setTimeout(() => {
+    document.addEventListener('click', handleOutsideClick);
+    document.addEventListener('keydown', handleMenuKeydown);
+  }, 0);
+}
+
+/**
+ * Close the export menu if open
+ */
+function closeExportMenu() {
+  const menu = document.getElementById('export-menu');
+  if (menu) {
+    menu.remove();
+  }
+  document.removeEventListener('click', handleOutsideClick);
+  document.removeEventListener('keydown', handleMenuKeydown);
+}
+
+/**
+ * Close the export menu when clicking outside it
+ * @param {MouseEvent} e - Click event
+ */
+function handleOutsideClick(e) {
+  if (!e.target.closest('#export-menu')) {
+    closeExportMenu();
+  }
+}
+
+/**
+ * Close the export menu on Escape
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleMenuKeydown(e) {
+  if (e.key === 'Escape') {
+    closeExportMenu();
+  }
+}
+
+/**
+ * Build a Markdown document: answers plus numbered source lists
+ * @param {object} data - { title, turns }
+ * @returns {string} Markdown
+ */
+function toMarkdown({ title, turns }) {
+  const lines = [`# ${title}`, '', `_Exported from Blockwall Intelligence on ${formatDate(new Date().toISOString())}_`, ''];
+
+  turns.forEach(turn => {
+    lines.push(`## ${turn.question}`, '');
+    lines.push(turn.answer.trim() || '_No answer_', '');
+
+    if (turn.status === 'interrupted') {
+      lines.push('_Answer interrupted_', '');
+    }
+
+    if (turn.sources && turn.sources.length > 0) {
+      lines.push('**Sources**', '');
+      turn.sources.forEach((source, index) => {
+        const sourceTitle = source.title || `Source ${index + 1}`;
+        const link = source.url ? `[${sourceTitle}](${source.url})` : sourceTitle;
+        const date = source.published_at ? ` — ${formatDate(source.published_at)}` : '';
+        lines.push(`${index + 1}. ${link}${date}`);
+      });
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a self-contained, styled HTML report
+ * @param {object} data - { title, turns }
+ * @returns {string} HTML document
+ */
+function toHtml({ title, turns }) {
+  const sectionsHtml = turns.map(turn => {
+    const sourcesHtml = turn.sources && turn.sources.length > 0 ? `
+      <h3>Sources</h3>
+      <ol class="sources">
+        ${turn.sources.map((source, index) => {
+          const sourceTitle = escapeHtml(source.title || `Source ${index + 1}`);
+          const link = source.url ? `<a href="${escapeHtml(source.url)}">${sourceTitle}</a>` : sourceTitle;
+          const date = source.published_at ? ` <span class="date">${formatDate(source.published_at)}</span>` : '';
+          return `<li>${link}${date}</li>`;
+        }).join('')}
+      </ol>
+    ` : '';
+
+    const cypher = turn.meta && (turn.meta.cypher || turn.meta.cypher_query);
+    const cypherHtml = cypher ? `
+      <details>
+        <summary>Graph query</summary>
+        <pre>${escapeHtml(cypher)}</pre>
+      </details>
+    ` : '';
+
+    return `
+      <section>
+        <h2>${escapeHtml(turn.question)}</h2>
+        <div class="answer">${sanitizeAndRender(turn.answer) || '<p><em>No answer</em></p>'}</div>
+        ${turn.status === 'interrupted' ? '<p class="note">Answer interrupted</p>' : ''}
+        ${sourcesHtml}
+        ${cypherHtml}
+      </section>
+    `;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { max-width: 760px; margin: 40px auto; padding: 0 24px; font-family: 'Inter', system-ui, -apple-system, sans-serif; color: #1f1d1a; line-height: 1.6; }
+  header { border-top: 2px solid #d4a574; border-bottom: 1px solid #e4ddd3; padding: 16px 0; margin-bottom: 32px; }
+  h1, h2 { font-family: 'Playfair Display', Georgia, serif; }
+  h1 { margin: 0 0 4px; font-size: 28px; }
+  h2 { font-size: 20px; margin-top: 40px; }
+  h3 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.05em; color: #8a8578; }
+  a { color: #9a6b3f; }
+  .meta, .date, .note { color: #8a8578; font-size: 13px; }
+  .note { font-style: italic; }
+  .sources { font-size: 14px; }
+  pre { background: #f6f3ef; border: 1px solid #e4ddd3; border-radius: 6px; padding: 12px; overflow-x: auto; font-size: 12px; }
+  summary { cursor: pointer; color: #8a8578; font-size: 13px; }
+  section + section { border-top: 1px solid #e4ddd3; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">Blockwall Intelligence &mdash; exported ${formatDate(new Date().toISOString())}</div>
+</header>
+${sectionsHtml}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a JSON export including the full meta payload of each turn
+ * @param {object} data - { title, turns }
+ * @returns {string} JSON text
+ */
+function toJson({ title, turns }) {
+  return JSON.stringify({
+    title,
+    exported_at: new Date().toISOString(),
+    turns: turns.map(turn => ({
+      question: turn.question,
+      answer: turn.answer,
+      status: turn.status || 'complete',
+      sources: turn.sources || [],
+      meta: turn.meta || null,
+      timings: turn.timings || [],
+      feedback: turn.feedback ?? null
+    }))
+  }, null, 2);
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} filename - File name
+ * @param {string|Blob} content - File content (Blobs are downloaded as they are)
+ * @param {string} mimeType - MIME type of text content
+ */
+export function downloadFile(filename, content, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turn a title into a safe file name
+ * @param {string} text - Title
+ * @param {string} fallback - Name used when the title has no usable characters
+ * @returns {string} Slug (max 50 chars)
+ */
+export function slugify(text, fallback = 'conversation') {
+  const slug = text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '');
+  return slug || fallback;
+}
@@ -12,13 +12,22 @@ const SESSION_ID = crypto.randomUUID();
  * Creates feedback buttons (thumbs up/down) for a bot response
  * @param {string} question - The user's question
  * @param {string} answer - The bot's answer
+ * @param {object} options - { rating: previously submitted rating or null, onRated(rating) callback }
  * @returns {HTMLElement} Container with feedback buttons
  */
-export function createFeedbackButtons(question, answer) {
+export function createFeedbackButtons(question, answer, options = {}) {
+  const { rating = null, onRated = null } = options;
+
   const container = document.createElement("div");
   container.className = "flex items-center gap-2 mt-2 pt-2";
   container.style.borderTop = '1px solid var(--border-subtle)';
 
+  // Already rated (e.g. a re-opened conversation) - show the confirmation only
+  if (rating !== null) {
+    container.innerHTML = `<span class="text-xs" style="color: var(--text-secondary);">${rating ? "👍" : "👎"} Thanks for your feedback!</span>`;
+    return container;
+  }
+
   // "Was this helpful?" text
   const text = document.createElement("span");
   text.className = "text-xs";
@@ -30,14 +39,14 @@ export function createFeedbackButtons(question, answer) {
   thumbsUp.className = "px-2 py-1 text-sm glass glass-hover rounded cursor-pointer";
   thumbsUp.textContent = "👍";
   thumbsUp.title = "Helpful";
-  thumbsUp.addEventListener("click", () => submitFeedback(true, question, answer, container));
+  thumbsUp.addEventListener("click", () => submitFeedback(true, question, answer, container, onRated));
 
   // Thumbs down button
   const thumbsDown = document.createElement("button");
   thumbsDown.className = "px-2 py-1 text-sm glass glass-hover rounded cursor-pointer";
   thumbsDown.textContent = "👎";
   thumbsDown.title = "Not helpful";
-  thumbsDown.addEventListener("click", () => submitFeedback(false, question, answer, container));
+  thumbsDown.addEventListener("click", () => submitFeedback(false, question, answer, container, onRated));
 
   container.appendChild(text);
   container.appendChild(thumbsUp);
@@ -52,8 +61,9 @@ export function createFeedbackButtons(question, answer) {
  * @param {string} question - The user's question
  * @param {string} answer - The bot's answer
  * @param {HTMLElement} container - The feedback button container
+ * @param {function} onRated - Optional callback(rating) after a successful submission
  */
-async function submitFeedback(rating, question, answer, container) {
+async function submitFeedback(rating, question, answer, container, onRated) {
   // Disable both buttons immediately
   const buttons = container.querySelectorAll("button");
   buttons.forEach(btn => {
@@ -82,6 +92,9 @@ async function submitFeedback(rating, question, answer, container) {
     if (response.ok) {
       // Success - replace buttons with confirmation
       container.innerHTML = '<span class="text-xs" style="color: var(--text-secondary);">Thanks for your feedback!</span>';
+      if (onRated) {
+        onRated(rating);
+      }
     } else {
       // Error - log and re-enable buttons (non-intrusive)
       console.error("Failed to submit feedback:", await response.text());
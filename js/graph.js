@@ -0,0 +1,790 @@
+/**
+ * Knowledge Graph Explorer
+ * Force-directed network of co-occurring entities drawn on a canvas; starts from one
+ * entity and grows as nodes are expanded
+ */
+
+import { cachedFetch } from './cache.js';
+import { escapeHtml } from './utils.js';
+import { showEntityDetail } from './entities.js';
+import { searchEntities } from './mentions.js';
+import { addToCompare } from './compare.js';
+import { downloadFile, slugify } from './export.js';
+
+// Node colors per graph label
+const LABEL_COLORS = {
+  Company: '#c084fc',
+  Person: '#4ade80',
+  Protocol: '#60a5fa'
+};
+const DEFAULT_NODE_COLOR = '#9ca3af';
+
+// Neighbors added when a node is expanded (strongest co-occurrence first)
+const NEIGHBORS_PER_EXPAND = 15;
+
+// Force simulation tuning
+const SIMULATION = {
+  repulsion: 1800,
+  linkDistance: 90,
+  springStrength: 0.02,
+  gravity: 0.004,
+  damping: 0.6,
+  alphaDecay: 0.985,
+  alphaMin: 0.005
+};
+
+// Zoom limits
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 4;
+
+// Graph state: nodes by entity name, edges {source, target, weight}
+const nodes = new Map();
+let edges = [];
+let rootName = null;
+let selectedNode = null;
+let hoverNode = null;
+
+// Visibility after filters, recomputed before each draw
+let visibleNodes = new Set();
+const hiddenLabels = new Set();
+let minWeight = 1;
+
+// Canvas and view transform (screen = world * scale + offset)
+let canvas = null;
+let ctx = null;
+const view = { scale: 1, x: 0, y: 0 };
+let alpha = 0;
+let frameId = null;
+let pointer = null;
+let initialized = false;
+
+/**
+ * Initialize the Graph tab and draw the graph around the most mentioned entity
+ */
+export async function renderGraphExplorer() {
+  canvas = document.getElementById('graph-canvas');
+  if (!canvas) {
+    console.error('Canvas element #graph-canvas not found');
+    return;
+  }
+  ctx = canvas.getContext('2d');
+
+  if (!initialized) {
+    initControls();
+    initialized = true;
+  }
+  resizeCanvas();
+
+  if (nodes.size === 0) {
+    const [topEntity] = await searchEntities('');
+    if (topEntity) {
+      await exploreEntity(topEntity.name);
+    } else {
+      setStatus('No entities available to explore');
+    }
+  }
+}
+
+/**
+ * Restart the graph from an entity
+ * @param {string} entityName - Entity to start from
+ */
+export async function exploreEntity(entityName) {
+  nodes.clear();
+  edges = [];
+  selectedNode = null;
+  hoverNode = null;
+  rootName = entityName;
+  Object.assign(view, { scale: 1, x: canvasWidth() / 2, y: canvasHeight() / 2 });
+
+  const input = document.getElementById('graph-entity-input');
+  if (input) {
+    input.value = entityName;
+  }
+
+  const root = addNode(entityName, null, 0, 0);
+  root.pinned = true;
+  selectNode(root);
+
+  await expandNode(root);
+}
+
+/**
+ * Wire up the search form, filters, zoom and export buttons and canvas interactions
+ */
+function initControls() {
+  const searchForm = document.getElementById('graph-search');
+  if (searchForm) {
+    searchForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const query = document.getElementById('graph-entity-input').value.trim();
+      if (!query) return;
+
+      // Resolve the typed name to how the entity is spelled in the graph
+      const results = await searchEntities(query);
+      const match = results.find(entity => entity.name.toLowerCase() === query.toLowerCase()) || results[0];
+      if (!match) {
+        setStatus(`No entity matches "${query}"`);
+        return;
+      }
+      exploreEntity(match.name);
+    });
+  }
+
+  // One checkbox per label, colored like the nodes
+  const labelFilters = document.getElementById('graph-label-filters');
+  if (labelFilters) {
+    labelFilters.innerHTML = Object.entries(LABEL_COLORS).map(([label, color]) => `
+      <label class="flex items-center gap-1 cursor-pointer">
+        <input type="checkbox" data-graph-label="${label}" checked>
+        <span class="inline-block w-2.5 h-2.5 rounded-full" style="background: ${color};"></span>
+        ${label}
+      </label>
+    `).join('');
+    labelFilters.addEventListener('change', (e) => {
+      const label = e.target.dataset.graphLabel;
+      if (!label) return;
+      if (e.target.checked) {
+        hiddenLabels.delete(label);
+      } else {
+        hiddenLabels.add(label);
+      }
+      draw();
+    });
+  }
+
+  const weightInput = document.getElementById('graph-min-weight');
+  if (weightInput) {
+    weightInput.addEventListener('input', () => {
+      minWeight = Number(weightInput.value);
+      document.getElementById('graph-min-weight-value').textContent = weightInput.value;
+      draw();
+    });
+  }
+
+  document.getElementById('graph-zoom-in')?.addEventListener('click', () => zoomAt(1.25, canvasWidth() / 2, canvasHeight() / 2));
+  document.getElementById('graph-zoom-out')?.addEventListener('click', () => zoomAt(0.8, canvasWidth() / 2, canvasHeight() / 2));
+  document.getElementById('graph-fit')?.addEventListener('click', fitToView);
+  document.getElementById('graph-export')?.addEventListener('click', exportGraphPng);
+
+  document.getElementById('graph-details')?.addEventListener('click', handleDetailsClick);
+
+  canvas.addEventListener('pointerdown', handlePointerDown);
+  canvas.addEventListener('pointermove', handlePointerMove);
+  canvas.addEventListener('pointerup', handlePointerUp);
+  canvas.addEventListener('pointerleave', () => {
+    hoverNode = null;
+    draw();
+  });
+  canvas.addEventListener('dblclick', handleDoubleClick);
+  canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const { x, y } = canvasPoint(e);
+    zoomAt(Math.exp(-e.deltaY * 0.001), x, y);
+  }, { passive: false });
+
+  // The panel is hidden until the tab is opened, so size the canvas whenever it changes
+  new ResizeObserver(() => {
+    resizeCanvas();
+    draw();
+  }).observe(canvas.parentElement);
+}
+
+/**
+ * Add a node (or return the existing one)
+ * @param {string} name - Entity name
+ * @param {string|null} label - Graph label
+ * @param {number} x - Initial world x
+ * @param {number} y - Initial world y
+ * @returns {object} Node {name, label, mentions, x, y, vx, vy, pinned, expanded, loading}
+ */
+function addNode(name, label, x, y) {
+  let node = nodes.get(name);
+  if (!node) {
+    node = { name, label, mentions: null, x, y, vx: 0, vy: 0, pinned: false, expanded: false, loading: false };
+    nodes.set(name, node);
+  } else if (label && !node.label) {
+    node.label = label;
+  }
+  return node;
+}
+
+/**
+ * Add a weighted edge between two nodes, keeping the highest known weight
+ * @param {object} source - Node
+ * @param {object} target - Node
+ * @param {number} weight - Co-occurrence count
+ */
+function addEdge(source, target, weight) {
+  const existing = edges.find(edge =>
+    (edge.source === source && edge.target === target) || (edge.source === target && edge.target === source));
+  if (existing) {
+    existing.weight = Math.max(existing.weight, weight);
+    return;
+  }
+  edges.push({ source, target, weight });
+}
+
+/**
+ * Load a node's profile and add its co-occurring entities as neighbors
+ * @param {object} node - Node to expand
+ */
+async function expandNode(node) {
+  if (node.expanded || node.loading) return;
+
+  node.loading = true;
+  setStatus(`Loading neighbors of ${node.name}...`);
+  draw();
+
+  try {
+    const profile = await cachedFetch(`/api/entities/${encodeURIComponent(node.name)}/profile`);
+
+    // The graph was restarted while loading
+    if (nodes.get(node.name) !== node) return;
+
+    if (!profile.found) {
+      setStatus(`"${node.name}" was not found in the knowledge graph`);
+      return;
+    }
+
+    node.label = profile.label || node.label;
+    node.mentions = profile.total_mentions ?? node.mentions;
+    node.expanded = true;
+
+    const neighbors = (profile.co_occurring_entities || []).slice(0, NEIGHBORS_PER_EXPAND);
+    neighbors.forEach((entity, index) => {
+      const name = entity.entity_name || entity.name;
+      if (!name) return;
+
+      // Place new neighbors in a ring around the expanded node
+      const angle = (index / neighbors.length) * Math.PI * 2;
+      const neighbor = addNode(
+        name,
+        entity.label || null,
+        node.x + Math.cos(angle) * SIMULATION.linkDistance,
+        node.y + Math.sin(angle) * SIMULATION.linkDistance
+      );
+      if (neighbor.mentions == null) {
+        neighbor.mentions = entity.total_mentions ?? entity.mention_count ?? null;
+      }
+      addEdge(node, neighbor, entity.co_occurrence_count || entity.count || 1);
+    });
+
+    setStatus(`${nodes.size} entities, ${edges.length} connections`);
+    reheat();
+  } catch (error) {
+    console.error('Failed to expand graph node:', error);
+    setStatus(`Failed to load neighbors of ${node.name}`);
+  } finally {
+    node.loading = false;
+    if (selectedNode === node) {
+      renderDetails();
+    }
+    draw();
+  }
+}
+
+/**
+ * Restart the simulation so the layout settles again
+ * @param {number} energy - Starting alpha (0-1)
+ */
+function reheat(energy = 1) {
+  alpha = Math.max(alpha, energy);
+  if (frameId === null) {
+    frameId = requestAnimationFrame(step);
+  }
+}
+
+/**
+ * Advance the simulation one tick and draw, until it cools down
+ */
+function step() {
+  tick();
+  draw();
+  alpha *= SIMULATION.alphaDecay;
+  frameId = alpha > SIMULATION.alphaMin ? requestAnimationFrame(step) : null;
+}
+
+/**
+ * One simulation tick: node repulsion, edge springs and a weak pull to the center
+ */
+function tick() {
+  const list = Array.from(nodes.values());
+
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const a = list[i];
+      const b = list[j];
+      let dx = b.x - a.x;
+      let dy = b.y - a.y;
+      if (dx === 0 && dy === 0) {
+        dx = Math.random() - 0.5;
+        dy = Math.random() - 0.5;
+      }
+      const distSq = Math.max(dx * dx + dy * dy, 25);
+      const dist = Math.sqrt(distSq);
+      const force = (SIMULATION.repulsion * alpha) / distSq;
+      a.vx -= (dx / dist) * force;
+      a.vy -= (dy / dist) * force;
+      b.vx += (dx / dist) * force;
+      b.vy += (dy / dist) * force;
+    }
+  }
+
+  edges.forEach(({ source, target, weight }) => {
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    // Frequent co-occurrence pulls entities closer together
+    const length = SIMULATION.linkDistance / (1 + Math.log10(weight));
+    const force = (dist - length) * SIMULATION.springStrength * alpha;
+    source.vx += (dx / dist) * force;
+    source.vy += (dy / dist) * force;
+    target.vx -= (dx / dist) * force;
+    target.vy -= (dy / dist) * force;
+  });
+
+  list.forEach(node => {
+    if (node.pinned || (pointer && pointer.node === node)) {
+      node.vx = 0;
+      node.vy = 0;
+      return;
+    }
+    node.vx = (node.vx - node.x * SIMULATION.gravity * alpha) * SIMULATION.damping;
+    node.vy = (node.vy - node.y * SIMULATION.gravity * alpha) * SIMULATION.damping;
+    node.x += node.vx;
+    node.y += node.vy;
+  });
+}
+
+/**
+ * Apply the label and co-occurrence filters
+ * Expanded nodes stay visible; other nodes need a visible connection
+ */
+function updateVisibility() {
+  visibleNodes = new Set();
+  const labelVisible = (node) => !hiddenLabels.has(node.label);
+
+  nodes.forEach(node => {
+    if (labelVisible(node) && (node.expanded || node.name === rootName)) {
+      visibleNodes.add(node);
+    }
+  });
+  edges.forEach(({ source, target, weight }) => {
+    if (weight < minWeight || !labelVisible(source) || !labelVisible(target)) return;
+    if (visibleNodes.has(source) || visibleNodes.has(target)) {
+      visibleNodes.add(source);
+      visibleNodes.add(target);
+    }
+  });
+}
+
+/**
+ * @param {object} edge - Edge
+ * @returns {boolean} True if the edge passes the filters
+ */
+function isEdgeVisible(edge) {
+  return edge.weight >= minWeight && visibleNodes.has(edge.source) && visibleNodes.has(edge.target);
+}
+
+/**
+ * Node radius grows with the square root of its mentions
+ * @param {object} node - Node
+ * @returns {number} Radius in world units
+ */
+function nodeRadius(node) {
+  return Math.min(6 + Math.sqrt(node.mentions || 0) * 1.2, 28);
+}
+
+/**
+ * Draw the graph
+ * @param {CanvasRenderingContext2D} context - Context to draw into (defaults to the visible canvas)
+ */
+function draw(context = ctx) {
+  if (!context) return;
+
+  updateVisibility();
+
+  const dpr = window.devicePixelRatio || 1;
+  context.setTransform(dpr, 0, 0, dpr, 0, 0);
+  context.clearRect(0, 0, canvasWidth(), canvasHeight());
+  context.translate(view.x, view.y);
+  context.scale(view.scale, view.scale);
+
+  const focus = hoverNode || selectedNode;
+
+  // Edges: width by co-occurrence, highlighted around the focused node
+  edges.filter(isEdgeVisible).forEach(edge => {
+    const isFocused = focus && (edge.source === focus || edge.target === focus);
+    context.beginPath();
+    context.moveTo(edge.source.x, edge.source.y);
+    context.lineTo(edge.target.x, edge.target.y);
+    context.lineWidth = 0.5 + Math.log2(1 + edge.weight);
+    context.strokeStyle = isFocused ? 'rgba(212, 165, 116, 0.7)' : 'rgba(255, 255, 255, 0.12)';
+    context.stroke();
+  });
+
+  // Nodes: color by label, size by mentions, gold ring when pinned
+  visibleNodes.forEach(node => {
+    const radius = nodeRadius(node);
+    context.beginPath();
+    context.arc(node.x, node.y, radius, 0, Math.PI * 2);
+    context.fillStyle = LABEL_COLORS[node.label] || DEFAULT_NODE_COLOR;
+    context.globalAlpha = node.expanded ? 1 : 0.65;
+    context.fill();
+    context.globalAlpha = 1;
+
+    if (node.pinned || node === selectedNode || node.loading) {
+      context.lineWidth = 2;
+      context.strokeStyle = node === selectedNode ? '#e8e6e3' : '#d4a574';
+      context.setLineDash(node.loading ? [3, 3] : []);
+      context.stroke();
+      context.setLineDash([]);
+    }
+  });
+
+  // Labels once they are large enough to read
+  context.font = '11px Inter, system-ui, sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  visibleNodes.forEach(node => {
+    const radius = nodeRadius(node);
+    if (node !== focus && radius * view.scale < 9 && view.scale < 1.2) return;
+    context.fillStyle = node === focus ? '#e8e6e3' : '#8a8578';
+    context.fillText(node.name, node.x, node.y + radius + 3);
+  });
+}
+
+/**
+ * Match the canvas backing store to its displayed size
+ */
+function resizeCanvas() {
+  if (!canvas) return;
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvasWidth();
+  const height = canvasHeight();
+
+  // First layout after the panel became visible: center the view
+  if (canvas.width === 0 || canvas.height === 0 || (view.x === 0 && view.y === 0)) {
+    view.x = width / 2;
+    view.y = height / 2;
+  }
+
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+}
+
+/**
+ * @returns {number} Displayed canvas width in CSS pixels
+ */
+function canvasWidth() {
+  return canvas ? canvas.clientWidth : 0;
+}
+
+/**
+ * @returns {number} Displayed canvas height in CSS pixels
+ */
+function canvasHeight() {
+  return canvas ? canvas.clientHeight : 0;
+}
+
+/**
+ * Pointer position relative to the canvas
+ * @param {MouseEvent} e - Pointer event
+ * @returns {object} {x, y} in CSS pixels
+ */
+function canvasPoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+/**
+ * Find the visible node under a canvas point
+ * @param {number} x - Canvas x
+ * @param {number} y - Canvas y
+ * @returns {object|null} Node
+ */
+function nodeAt(x, y) {
+  const worldX = (x - view.x) / view.scale;
+  const worldY = (y - view.y) / view.scale;
+
+  let hit = null;
+  visibleNodes.forEach(node => {
+    const radius = nodeRadius(node) + 2;
+    if ((node.x - worldX) ** 2 + (node.y - worldY) ** 2 <= radius * radius) {
+      hit = node;
+    }
+  });
+  return hit;
+}
+
+/**
+ * Start dragging a node or panning the view
+ * @param {PointerEvent} e - Pointer event
+ */
+function handlePointerDown(e) {
+  const point = canvasPoint(e);
+  pointer = { node: nodeAt(point.x, point.y), start: point, last: point, moved: false };
+  canvas.setPointerCapture(e.pointerId);
+}
+
+/**
+ * Drag (and pin) a node, pan the view, or update the hovered node
+ * @param {PointerEvent} e - Pointer event
+ */
+function handlePointerMove(e) {
+  const point = canvasPoint(e);
+
+  if (!pointer) {
+    const node = nodeAt(point.x, point.y);
+    if (node !== hoverNode) {
+      hoverNode = node;
+      canvas.style.cursor = node ? 'pointer' : 'grab';
+      draw();
+    }
+    return;
+  }
+
+  if (Math.hypot(point.x - pointer.start.x, point.y - pointer.start.y) > 3) {
+    pointer.moved = true;
+  }
+
+  if (pointer.node) {
+    // Dragged nodes stay where they are dropped
+    pointer.node.x = (point.x - view.x) / view.scale;
+    pointer.node.y = (point.y - view.y) / view.scale;
+    if (pointer.moved) {
+      pointer.node.pinned = true;
+    }
+    reheat(0.3);
+  } else {
+    view.x += point.x - pointer.last.x;
+    view.y += point.y - pointer.last.y;
+    canvas.style.cursor = 'grabbing';
+    draw();
+  }
+
+  pointer.last = point;
+}
+
+/**
+ * Finish a drag; a click without movement selects and expands the node
+ * @param {PointerEvent} e - Pointer event
+ */
+function handlePointerUp(e) {
+  if (!pointer) return;
+
+  const { node, moved } = pointer;
+  pointer = null;
+  canvas.releasePointerCapture(e.pointerId);
+  canvas.style.cursor = hoverNode ? 'pointer' : 'grab';
+
+  if (moved) {
+    if (node && selectedNode === node) {
+      renderDetails();
+    }
+    return;
+  }
+
+  selectNode(node);
+  if (node) {
+    expandNode(node);
+  }
+}
+
+/**
+ * Double-click toggles whether a node is pinned
+ * @param {MouseEvent} e - Mouse event
+ */
+function handleDoubleClick(e) {
+  const point = canvasPoint(e);
+  const node = nodeAt(point.x, point.y);
+  if (!node) return;
+
+  togglePin(node);
+}
+
+/**
+ * Pin or unpin a node
+ * @param {object} node - Node
+ */
+function togglePin(node) {
+  node.pinned = !node.pinned;
+  if (selectedNode === node) {
+    renderDetails();
+  }
+  reheat(0.3);
+}
+
+/**
+ * Zoom around a point of the canvas
+ * @param {number} factor - Zoom factor (>1 zooms in)
+ * @param {number} x - Canvas x to keep fixed
+ * @param {number} y - Canvas y to keep fixed
+ */
+function zoomAt(factor, x, y) {
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * factor));
+  view.x = x - ((x - view.x) * scale) / view.scale;
+  view.y = y - ((y - view.y) * scale) / view.scale;
+  view.scale = scale;
+  draw();
+}
+
+/**
+ * Zoom and pan so all visible nodes fit the canvas
+ */
+function fitToView() {
+  updateVisibility();
+  if (visibleNodes.size === 0) return;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  visibleNodes.forEach(node => {
+    const radius = nodeRadius(node);
+    minX = Math.min(minX, node.x - radius);
+    minY = Math.min(minY, node.y - radius);
+    maxX = Math.max(maxX, node.x + radius);
+    maxY = Math.max(maxY, node.y + radius + 16);
+  });
+
+  const padding = 40;
+  const scale = Math.min(
+    (canvasWidth() - padding * 2) / Math.max(maxX - minX, 1),
+    (canvasHeight() - padding * 2) / Math.max(maxY - minY, 1)
+  );
+  view.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+  view.x = canvasWidth() / 2 - ((minX + maxX) / 2) * view.scale;
+  view.y = canvasHeight() / 2 - ((minY + maxY) / 2) * view.scale;
+  draw();
+}
+
+/**
+ * Select a node and show its details
+ * @param {object|null} node - Node, or null to clear the selection
+ */
+function selectNode(node) {
+  selectedNode = node;
+  renderDetails();
+  draw();
+}
+
+/**
+ * Render the details of the selected node in the side panel
+ */
+function renderDetails() {
+  const details = document.getElementById('graph-details');
+  if (!details) return;
+
+  if (!selectedNode) {
+    details.innerHTML = '<p>Select a node to see its details.</p>';
+    return;
+  }
+
+  const node = selectedNode;
+  const connections = edges
+    .filter(edge => edge.source === node || edge.target === node)
+    .map(edge => ({ name: (edge.source === node ? edge.target : edge.source).name, weight: edge.weight }))
+    .sort((a, b) => b.weight - a.weight);
+
+  const connectionsHtml = connections.slice(0, 8).map(connection => `
+    <li class="flex justify-between gap-2">
+      <span class="truncate">${escapeHtml(connection.name)}</span>
+      <span style="color: var(--text-muted);">${connection.weight}</span>
+    </li>
+  `).join('');
+
+  details.innerHTML = `
+    <h3 class="font-display text-lg font-bold mb-1" style="color: var(--text-primary);">${escapeHtml(node.name)}</h3>
+    <p class="text-xs mb-3">
+      <span class="inline-block w-2 h-2 rounded-full mr-1" style="background: ${LABEL_COLORS[node.label] || DEFAULT_NODE_COLOR};"></span>
+      ${escapeHtml(node.label || 'Unknown type')}${node.mentions != null ? ` &middot; ${node.mentions} mentions` : ''}
+    </p>
+    ${connections.length > 0 ? `
+      <p class="text-xs mb-1" style="color: var(--text-muted);">Strongest connections (co-occurrences)</p>
+      <ul class="text-xs space-y-1 mb-4">${connectionsHtml}</ul>
+    ` : ''}
+    <div class="flex flex-wrap gap-2">
+      <button type="button" data-graph-action="profile" class="text-xs px-2 py-1 glass glass-hover rounded cursor-pointer" style="color: var(--text-secondary);">Open profile</button>
+      ${node.expanded ? '' : `<button type="button" data-graph-action="expand" class="text-xs px-2 py-1 glass glass-hover rounded cursor-pointer" style="color: var(--text-secondary);" ${node.loading ? 'disabled' : ''}>Expand</button>`}
+      <button type="button" data-graph-action="pin" class="text-xs px-2 py-1 glass glass-hover rounded cursor-pointer" style="color: var(--text-secondary);">${node.pinned ? 'Unpin' : 'Pin'}</button>
+      <button type="button" data-graph-action="explore" class="text-xs px-2 py-1 glass glass-hover rounded cursor-pointer" style="color: var(--text-secondary);">Start from here</button>
+      <button type="button" data-graph-action="compare" class="text-xs px-2 py-1 glass glass-hover rounded cursor-pointer" style="color: var(--text-secondary);">&#8644; Compare</button>
+    </div>
+  `;
+}
+
+/**
+ * Handle the buttons in the details panel
+ * @param {MouseEvent} e - Click event
+ */
+function handleDetailsClick(e) {
+  const button = e.target.closest('[data-graph-action]');
+  if (!button || !selectedNode) return;
+
+  const node = selectedNode;
+  switch (button.dataset.graphAction) {
+    case 'profile':
+      showEntityDetail(node.name);
+      break;
+    case 'expand':
+      expandNode(node);
+      break;
+    case 'pin':
+      togglePin(node);
+      break;
+    case 'explore':
+      exploreEntity(node.name);
+      break;
+    case 'compare':
+      addToCompare(node.name);
+      break;
+  }
+}
+
+/**
+ * Show a short status line below the graph
+ * @param {string} message - Status text
+ */
+function setStatus(message) {
+  const status = document.getElementById('graph-status');
+  if (status) {
+    status.textContent = message;
+  }
+}
+
+/**
+ * Download the current view as a PNG with a dark background and a caption
+ */
+function exportGraphPng() {
+  if (!canvas || nodes.size === 0) return;
+
+  const dpr = window.devicePixelRatio || 1;
+  const exportCanvas = document.createElement('canvas');
+  exportCanvas.width = canvas.width;
+  exportCanvas.height = canvas.height;
+  const exportCtx = exportCanvas.getContext('2d');
+
+  draw(exportCtx);
+
+  // Fill the page background behind the drawing (the live canvas is transparent)
+  const background = getComputedStyle(document.documentElement).getPropertyValue('--bg-deep').trim() || '#0a0a0f';
+  exportCtx.setTransform(1, 0, 0, 1, 0, 0);
+  exportCtx.globalCompositeOperation = 'destination-over';
+  exportCtx.fillStyle = background;
+  exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+  exportCtx.globalCompositeOperation = 'source-over';
+
+  exportCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  exportCtx.font = '12px Inter, system-ui, sans-serif';
+  exportCtx.textAlign = 'left';
+  exportCtx.textBaseline = 'bottom';
+  exportCtx.fillStyle = '#8a8578';
+  exportCtx.fillText(`Blockwall knowledge graph: ${rootName} · ${new Date().toISOString().slice(0, 10)}`, 12, canvasHeight() - 10);
+
+  exportCanvas.toBlob(blob => {
+    if (!blob) return;
+    downloadFile(`knowledge-graph-${slugify(rootName || 'graph', 'graph')}.png`, blob);
+  }, 'image/png');
+}
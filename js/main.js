@@ -3,14 +3,23 @@
  * Loads starter questions, initializes chat, and performs background health check
  */
 
-import { initChat, sendQuestion } from "./chat.js";
+import { initChat, sendQuestion, showConversation } from "./chat.js";
 import { checkHealth } from "./api.js";
-import { API_BASE, SUGGESTIONS } from "./config.js";
-import { initEntityModal } from "./entities.js";
-import { initTabs } from "./dashboard.js";
-
-// Expose API_BASE for sync button in index.html
-window.__API_BASE = API_BASE;
+import { API_TARGET, SUGGESTIONS } from "./config.js";
+import { initEntityModal, openEntityProfile, hideEntityModal } from "./entities.js";
+import { initCompare } from "./compare.js";
+import { initTabs, switchTab, setTrendsRange, getStoredTrendsRange } from "./dashboard.js";
+import { initRouter, getRoute } from "./router.js";
+import { initSync } from "./sync.js";
+import { initCache } from "./cache.js";
+import { initWatchlist } from "./watchlist.js";
+import { initSettings } from "./settings.js";
+import { installMockBackend } from "./mock/backend.js";
+
+// Serve API requests from local fixtures when the mock profile is selected
+if (API_TARGET.profile === "mock") {
+  installMockBackend();
+}
 
 // Wait for DOM to be ready
 document.addEventListener("DOMContentLoaded", async () => {
@@ -20,13 +29,33 @@ document.addEventListener("DOMContentLoaded", async () => {
   // 2. Initialize chat
   initChat();
 
-  // 3. Initialize entity modal
+  // 3. Initialize entity modal and comparison tray
   initEntityModal();
+  initCompare();
 
   // 4. Initialize tab navigation
   initTabs();
 
-  // 5. Background health check (wake backend)
+  // 5. Initialize masthead sync button, watchlist and backend settings
+  initSync();
+  initCache();
+  initWatchlist();
+  initSettings();
+
+  // 6. Restore the view in the URL and follow back/forward navigation
+  initRouter({
+    tab: switchTab,
+    range: setTrendsRange,
+    conversation: showConversation,
+    company: (slug) => (slug
+      ? import("./portfolio.js").then(({ showCompanyDetail }) => showCompanyDetail(slug))
+      : !getRoute().entity && hideEntityModal()),
+    entity: (name) => (name ? openEntityProfile(name) : !getRoute().company && hideEntityModal())
+  }, {
+    range: getStoredTrendsRange
+  });
+
+  // 7. Background health check (wake backend)
   try {
     await checkHealth();
     console.log("Backend ready");
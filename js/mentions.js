@@ -0,0 +1,242 @@
+/**
+ * Entity Mentions
+ * Autocompletes "@" mentions in the chat input from the graph's entity search and
+ * tracks the chosen entities so they can be sent with the question
+ */
+
+import { cachedFetch } from './cache.js';
+import { escapeHtml } from './utils.js';
+
+// Number of suggestions shown in the menu
+const MENTION_LIMIT = 8;
+
+// Delay after the last keystroke before searching (ms)
+const MENTION_DEBOUNCE = 150;
+
+// "@" at the start of the input or after whitespace, followed by the partial name up to the caret
+const MENTION_TRIGGER = /(?:^|\s)@([^\s@][^@\n]{0,40}|)$/;
+
+// Entities chosen for the current draft, by name
+const draftMentions = new Map();
+
+// Autocomplete state
+let inputEl = null;
+let menuEl = null;
+let suggestions = [];
+let activeIndex = 0;
+let mentionStart = -1;
+let debounceId = null;
+
+/**
+ * Attach mention autocomplete to the chat input
+ * Call before other keydown handlers on the input so Enter picks a suggestion
+ * instead of submitting while the menu is open
+ * @param {HTMLInputElement} input - The chat input
+ */
+export function initMentions(input) {
+  menuEl = document.getElementById('mention-menu');
+  if (!input || !menuEl) return;
+
+  inputEl = input;
+  inputEl.setAttribute('aria-autocomplete', 'list');
+  inputEl.setAttribute('aria-controls', 'mention-menu');
+
+  inputEl.addEventListener('input', handleInput);
+  inputEl.addEventListener('keydown', handleKeydown);
+  inputEl.addEventListener('blur', () => {
+    // Let a click on a suggestion land first
+    setTimeout(closeMentionMenu, 150);
+  });
+
+  // mousedown keeps focus in the input
+  menuEl.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('[data-mention-index]');
+    if (!item) return;
+    e.preventDefault();
+    selectSuggestion(Number(item.dataset.mentionIndex));
+  });
+}
+
+/**
+ * Take the entities mentioned in a question and reset the draft
+ * Only mentions whose "@Name" is still in the text are returned
+ * @param {string} question - The submitted question
+ * @returns {Array} Resolved entity references [{name, label, id?}]
+ */
+export function takeMentions(question) {
+  const entities = Array.from(draftMentions.values())
+    .filter(entity => question.includes(`@${entity.name}`))
+    .map(({ id, name, label }) => (id ? { id, name, label } : { name, label }));
+
+  draftMentions.clear();
+  closeMentionMenu();
+  return entities;
+}
+
+/**
+ * Search entities in the graph, reusing recent results
+ * @param {string} query - Partial entity name (empty for the most mentioned entities)
+ * @returns {Promise<Array>} Entities [{name, label, mention_count, id?}]
+ */
+export function searchEntities(query) {
+  const params = new URLSearchParams({ q: query.trim().toLowerCase(), limit: String(MENTION_LIMIT) });
+  return cachedFetch(`/api/entities/search?${params}`)
+    .then(data => data.entities || data.results || [])
+    .catch(error => {
+      console.error('Failed to search entities:', error);
+      return [];
+    });
+}
+
+/**
+ * Open, update or close the menu as the user types
+ */
+function handleInput() {
+  const caret = inputEl.selectionStart ?? inputEl.value.length;
+  const match = inputEl.value.slice(0, caret).match(MENTION_TRIGGER);
+
+  clearTimeout(debounceId);
+
+  if (!match) {
+    closeMentionMenu();
+    return;
+  }
+
+  const query = match[1];
+  mentionStart = caret - query.length - 1;
+
+  debounceId = setTimeout(async () => {
+    const results = await searchEntities(query);
+
+    // Ignore results for a query the user has typed past
+    const currentCaret = inputEl.selectionStart ?? inputEl.value.length;
+    const current = inputEl.value.slice(0, currentCaret).match(MENTION_TRIGGER);
+    if (!current || current[1] !== query) return;
+
+    // Names with spaces keep the menu open, but not once nothing matches
+    if (results.length === 0 && /\s$/.test(query)) {
+      closeMentionMenu();
+      return;
+    }
+
+    renderMentionMenu(results, query);
+  }, MENTION_DEBOUNCE);
+}
+
+/**
+ * Keyboard navigation inside the open menu
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleKeydown(e) {
+  if (!isMenuOpen()) return;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+    updateActiveItem();
+  } else if ((e.key === 'Enter' || e.key === 'Tab') && suggestions.length > 0) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    selectSuggestion(activeIndex);
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    e.stopPropagation();
+    closeMentionMenu();
+  }
+}
+
+/**
+ * Render the suggestion menu above the input
+ * @param {Array} results - Entities from the search
+ * @param {string} query - The query they were found for
+ */
+function renderMentionMenu(results, query) {
+  suggestions = results;
+  activeIndex = 0;
+
+  if (results.length === 0) {
+    menuEl.innerHTML = `
+      <div class="px-3 py-2 text-xs" style="color: var(--text-muted);">No entities match "${escapeHtml(query)}"</div>
+    `;
+  } else {
+    menuEl.innerHTML = results.map((entity, index) => {
+      const mentions = entity.mention_count ?? entity.total_mentions;
+      return `
+        <div id="mention-option-${index}" role="option" data-mention-index="${index}"
+             class="flex items-center justify-between gap-3 px-3 py-1.5 text-sm cursor-pointer glass-hover">
+          <span style="color: var(--text-primary);">${escapeHtml(entity.name)}</span>
+          <span class="flex items-center gap-2 text-xs" style="color: var(--text-muted);">
+            ${entity.label ? `<span class="px-1.5 py-0.5 rounded border" style="border-color: var(--border-subtle);">${escapeHtml(entity.label)}</span>` : ''}
+            ${mentions != null ? `<span>${mentions} mentions</span>` : ''}
+          </span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  menuEl.classList.remove('hidden');
+  inputEl.setAttribute('aria-expanded', 'true');
+  updateActiveItem();
+}
+
+/**
+ * Highlight the keyboard-selected suggestion
+ */
+function updateActiveItem() {
+  menuEl.querySelectorAll('[data-mention-index]').forEach(item => {
+    const isActive = Number(item.dataset.mentionIndex) === activeIndex;
+    item.setAttribute('aria-selected', String(isActive));
+    item.style.background = isActive ? 'var(--gold-dim)' : '';
+    if (isActive) {
+      item.scrollIntoView({ block: 'nearest' });
+      inputEl.setAttribute('aria-activedescendant', item.id);
+    }
+  });
+}
+
+/**
+ * Replace the partial "@query" with the chosen entity and remember it
+ * @param {number} index - Index of the chosen suggestion
+ */
+function selectSuggestion(index) {
+  const entity = suggestions[index];
+  if (!entity || mentionStart < 0) return;
+
+  const caret = inputEl.selectionStart ?? inputEl.value.length;
+  const before = inputEl.value.slice(0, mentionStart);
+  const after = inputEl.value.slice(caret);
+  const mention = `@${entity.name} `;
+
+  inputEl.value = `${before}${mention}${after.replace(/^\s+/, '')}`;
+  const newCaret = before.length + mention.length;
+  inputEl.setSelectionRange(newCaret, newCaret);
+
+  draftMentions.set(entity.name, entity);
+  closeMentionMenu();
+  inputEl.focus();
+}
+
+/**
+ * @returns {boolean} True while the suggestion menu is visible
+ */
+function isMenuOpen() {
+  return Boolean(menuEl) && !menuEl.classList.contains('hidden');
+}
+
+/**
+ * Hide the suggestion menu
+ */
+function closeMentionMenu() {
+  clearTimeout(debounceId);
+  suggestions = [];
+  mentionStart = -1;
+
+  if (!menuEl) return;
+  menuEl.classList.add('hidden');
+  menuEl.innerHTML = '';
+  if (inputEl) {
+    inputEl.setAttribute('aria-expanded', 'false');
+    inputEl.removeAttribute('aria-activedescendant');
+  }
+}
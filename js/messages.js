@@ -4,6 +4,20 @@
  */
 
 import { formatDate, escapeHtml, sanitizeAndRender } from "./utils.js";
+import { createStreamRenderer } from "./stream-renderer.js";
+
+// Citation markers in answer text: [1] or [1, 3]
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Sources of each bot message, used to link citations
+const messageSources = new WeakMap();
+
+// Answer text and streaming renderer of each bot message
+const messageTexts = new WeakMap();
+const messageRenderers = new WeakMap();
+
+// Distance (px) from the bottom within which streaming keeps the chat scrolled down
+const SCROLL_STICK_THRESHOLD = 80;
 
 /**
  * Adds a user message bubble to the chat
@@ -48,14 +62,16 @@ export function addBotMessage() {
     <div class="answer-content prose prose-invert prose-sm"></div>
     <div class="sources-container mt-3 hidden"></div>
     <div class="entities-container mt-2 hidden"></div>
+    <div class="provenance-container mt-2 hidden"></div>
     <div class="feedback-container mt-2 hidden"></div>
+    <div class="actions-container mt-2 hidden flex gap-2"></div>
   `;
 
   messageDiv.appendChild(bubble);
   messagesContainer.appendChild(messageDiv);
 
   // Initialize the full text buffer
-  messageDiv.dataset.fullText = "";
+  messageTexts.set(messageDiv, "");
 
   // Scroll to bottom
   messagesContainer.scrollTop = messagesContainer.scrollHeight;
@@ -65,6 +81,7 @@ export function addBotMessage() {
 
 /**
  * Updates a bot message with a new token (for streaming)
+ * Tokens are rendered in batches once per animation frame
  * @param {HTMLElement} messageEl - The bot message element
  * @param {string} token - The new token to append
  */
@@ -75,18 +92,83 @@ export function updateBotMessage(messageEl, token) {
   if (!answerContent) return;
 
   // Append token to full text buffer
-  messageEl.dataset.fullText += token;
+  messageTexts.set(messageEl, getMessageText(messageEl) + token);
 
-  // Re-render the entire text with markdown
-  answerContent.innerHTML = sanitizeAndRender(messageEl.dataset.fullText);
+  let renderer = messageRenderers.get(messageEl);
+  if (!renderer) {
+    renderer = createMessageRenderer(messageEl, answerContent);
+    messageRenderers.set(messageEl, renderer);
+  }
+  renderer.append(token);
+}
 
-  // Scroll to bottom
+/**
+ * Creates the streaming renderer for a bot message
+ * Links citations in newly rendered blocks and only follows the stream when the
+ * user is already at the bottom of the chat
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {HTMLElement} answerContent - The message's answer container
+ * @returns {object} Stream renderer
+ */
+function createMessageRenderer(messageEl, answerContent) {
   const messagesContainer = document.getElementById("messages");
-  if (messagesContainer) {
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  let wasAtBottom = true;
+
+  return createStreamRenderer(answerContent, {
+    beforeRender: () => {
+      wasAtBottom = isScrolledToBottom(messagesContainer);
+    },
+    afterRender: (newElements) => {
+      newElements.forEach(element => linkCitations(messageEl, element));
+      if (messagesContainer && wasAtBottom) {
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+      }
+    }
+  });
+}
+
+/**
+ * Stops incremental rendering of a bot message, dropping any unrendered tokens
+ * @param {HTMLElement} messageEl - The bot message element
+ */
+function stopStreamRenderer(messageEl) {
+  const renderer = messageRenderers.get(messageEl);
+  if (renderer) {
+    renderer.cancel();
+    messageRenderers.delete(messageEl);
   }
 }
 
+/**
+ * Checks whether a scroll container is scrolled (nearly) to the bottom
+ * @param {HTMLElement} container - Scroll container
+ * @returns {boolean} True when at the bottom
+ */
+function isScrolledToBottom(container) {
+  if (!container) return false;
+  return container.scrollHeight - container.scrollTop - container.clientHeight <= SCROLL_STICK_THRESHOLD;
+}
+
+/**
+ * Gets the answer text of a bot message
+ * @param {HTMLElement} messageEl - The bot message element
+ * @returns {string} Answer text received so far
+ */
+export function getMessageText(messageEl) {
+  return messageTexts.get(messageEl) || "";
+}
+
+/**
+ * Sets the answer text of a bot message (e.g. when restoring a saved conversation)
+ * Call finalizeBotMessage afterwards to render it
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {string} text - Answer text
+ */
+export function setMessageText(messageEl, text) {
+  if (!messageEl) return;
+  messageTexts.set(messageEl, text || "");
+}
+
 /**
  * Finalizes a bot message after streaming is complete
  * @param {HTMLElement} messageEl - The bot message element
@@ -97,9 +179,17 @@ export function finalizeBotMessage(messageEl) {
   const answerContent = messageEl.querySelector(".answer-content");
   if (!answerContent) return;
 
+  // Stop incremental rendering; the complete answer is rendered once as a whole
+  stopStreamRenderer(messageEl);
+
   // Final render of the complete message
-  const fullText = messageEl.dataset.fullText || "";
-  answerContent.innerHTML = sanitizeAndRender(fullText);
+  answerContent.innerHTML = sanitizeAndRender(getMessageText(messageEl));
+
+  // Link citations and split the source list into cited and uncited sources
+  const sources = messageSources.get(messageEl);
+  if (sources) {
+    renderSources(messageEl, sources);
+  }
 
   // Remove any loading indicators
   const loadingIndicator = messageEl.querySelector(".loading-indicator");
@@ -108,10 +198,106 @@ export function finalizeBotMessage(messageEl) {
   }
 }
 
+/**
+ * Marks a bot message as interrupted (stopped before the answer was complete)
+ * @param {HTMLElement} messageEl - The bot message element
+ */
+export function markInterrupted(messageEl) {
+  if (!messageEl || messageEl.querySelector(".interrupted-note")) return;
+
+  const answerContent = messageEl.querySelector(".answer-content");
+  if (!answerContent) return;
+
+  const hasText = Boolean(getMessageText(messageEl));
+  const note = document.createElement("p");
+  note.className = "interrupted-note text-xs italic mt-2";
+  note.style.color = "var(--text-muted)";
+  note.textContent = hasText ? "Answer interrupted" : "Stopped before an answer was written";
+  answerContent.insertAdjacentElement("afterend", note);
+}
+
+/**
+ * Shows an error in place of a bot message's answer
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {string} message - Error text to display
+ */
+export function showMessageError(messageEl, message) {
+  if (!messageEl) return;
+
+  // Drop any answer text still waiting to be rendered
+  stopStreamRenderer(messageEl);
+
+  const answerContent = messageEl.querySelector(".answer-content");
+  if (answerContent) {
+    answerContent.innerHTML = `<p class="text-red-400 text-sm">${escapeHtml(message)}</p>`;
+  }
+}
+
+/**
+ * Renders action buttons (e.g. Regenerate, Retry) below a bot message
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {Array} actions - Array of {label, title, onClick}
+ */
+export function renderMessageActions(messageEl, actions) {
+  if (!messageEl) return;
+
+  const actionsContainer = messageEl.querySelector(".actions-container");
+  if (!actionsContainer) return;
+
+  actionsContainer.innerHTML = "";
+  actionsContainer.classList.toggle("hidden", actions.length === 0);
+
+  actions.forEach(action => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "text-xs px-2 py-1 glass glass-hover rounded cursor-pointer";
+    button.style.color = "var(--text-secondary)";
+    button.textContent = action.label;
+    button.title = action.title || action.label;
+    button.addEventListener("click", action.onClick);
+    actionsContainer.appendChild(button);
+  });
+}
+
+/**
+ * Resets a bot message to its empty streaming state (for regenerate/retry)
+ * @param {HTMLElement} messageEl - The bot message element
+ */
+export function resetBotMessage(messageEl) {
+  if (!messageEl) return;
+
+  stopStreamRenderer(messageEl);
+
+  messageTexts.set(messageEl, "");
+  delete messageEl.dataset.metadata;
+  messageSources.delete(messageEl);
+
+  const answerContent = messageEl.querySelector(".answer-content");
+  if (answerContent) {
+    answerContent.innerHTML = "";
+  }
+
+  const interruptedNote = messageEl.querySelector(".interrupted-note");
+  if (interruptedNote) {
+    interruptedNote.remove();
+  }
+
+  // Empty and hide the secondary containers
+  [".sources-container", ".entities-container", ".provenance-container", ".feedback-container", ".actions-container"].forEach(selector => {
+    const container = messageEl.querySelector(selector);
+    if (container) {
+      container.innerHTML = "";
+      container.classList.add("hidden");
+    }
+  });
+}
+
 /**
  * Renders source citations below a bot message
+ * Once the answer cites sources (e.g. "[1]"), cited sources are listed first and
+ * uncited ones are shown separately
  * @param {HTMLElement} messageEl - The bot message element
- * @param {Array} sources - Array of source objects {title, url?, published_at?}
+ * @param {Array} sources - Array of source objects {title, url?, published_at?, publisher?}
  */
 export function renderSources(messageEl, sources) {
   if (!messageEl || !sources || sources.length === 0) return;
@@ -119,39 +305,236 @@ export function renderSources(messageEl, sources) {
   const sourcesContainer = messageEl.querySelector(".sources-container");
   if (!sourcesContainer) return;
 
+  // Remember the sources so citations in the answer can be linked to them
+  messageSources.set(messageEl, sources);
+  const cited = linkCitations(messageEl);
+
   // Show the container
   sourcesContainer.classList.remove("hidden");
 
+  const numbered = sources.map((source, index) => ({ source, number: index + 1 }));
+
   // Build sources HTML
-  let sourcesHTML = '<p class="text-xs mb-2" style="color: var(--text-muted);">Sources:</p>';
-  sourcesHTML += '<div class="space-y-1">';
+  let sourcesHTML;
+  if (cited.size === 0) {
+    sourcesHTML = '<p class="text-xs mb-2" style="color: var(--text-muted);">Sources:</p>';
+    sourcesHTML += renderSourceList(numbered);
+  } else {
+    sourcesHTML = '<p class="text-xs mb-2" style="color: var(--text-muted);">Cited sources:</p>';
+    sourcesHTML += renderSourceList(numbered.filter(item => cited.has(item.number)));
+
+    const uncited = numbered.filter(item => !cited.has(item.number));
+    if (uncited.length > 0) {
+      sourcesHTML += '<div class="uncited-sources mt-3 pt-2 opacity-60">';
+      sourcesHTML += '<p class="text-xs mb-2" style="color: var(--text-muted);">Also retrieved (not cited):</p>';
+      sourcesHTML += renderSourceList(uncited);
+      sourcesHTML += '</div>';
+    }
+  }
+
+  sourcesContainer.innerHTML = sourcesHTML;
+}
 
-  sources.forEach((source, index) => {
-    const title = escapeHtml(source.title || `Source ${index + 1}`);
+/**
+ * Builds the HTML list for numbered sources
+ * @param {Array} items - Array of {source, number}
+ * @returns {string} HTML string
+ */
+function renderSourceList(items) {
+  let html = '<div class="space-y-1">';
+
+  items.forEach(({ source, number }) => {
+    const title = escapeHtml(source.title || `Source ${number}`);
     const url = source.url;
     const publishedAt = source.published_at;
 
-    sourcesHTML += '<div class="text-xs">';
+    html += `<div class="source-item text-xs rounded px-1 -mx-1" data-source-index="${number}">`;
+    html += `<span style="color: var(--text-muted);">[${number}]</span> `;
 
     if (url) {
       // Clickable link
-      sourcesHTML += `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="hover:underline" style="color: var(--gold);">${title}</a>`;
+      html += `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="hover:underline" style="color: var(--gold);">${title}</a>`;
     } else {
       // Plain text
-      sourcesHTML += `<span class="text-gray-400">${title}</span>`;
+      html += `<span class="text-gray-400">${title}</span>`;
     }
 
     // Add published date if available
     if (publishedAt) {
       const formattedDate = formatDate(publishedAt);
-      sourcesHTML += ` <span class="text-gray-600">${formattedDate}</span>`;
+      html += ` <span class="text-gray-600">${formattedDate}</span>`;
     }
 
-    sourcesHTML += '</div>';
+    html += '</div>';
   });
 
-  sourcesHTML += '</div>';
-  sourcesContainer.innerHTML = sourcesHTML;
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Turns citation markers like "[1]" or "[1, 3]" in the rendered answer into
+ * superscript links to the matching sources
+ * Markers inside links and code are left alone, as are numbers without a source
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {HTMLElement} [root] - Part of the answer to scan (defaults to the whole answer)
+ * @returns {Set<number>} 1-based numbers of the cited sources within the scanned part
+ */
+export function linkCitations(messageEl, root) {
+  const cited = new Set();
+
+  const sources = messageSources.get(messageEl);
+  const answerContent = root || (messageEl ? messageEl.querySelector(".answer-content") : null);
+  if (!sources || !answerContent) return cited;
+
+  // Citations linked by an earlier pass
+  answerContent.querySelectorAll("a[data-cite]").forEach(link => {
+    cited.add(Number(link.dataset.cite));
+  });
+
+  const walker = document.createTreeWalker(answerContent, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => node.parentElement.closest("a, code, pre, sup.citation")
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  });
+
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (CITATION_PATTERN.test(walker.currentNode.nodeValue)) {
+      textNodes.push(walker.currentNode);
+    }
+    CITATION_PATTERN.lastIndex = 0;
+  }
+
+  textNodes.forEach(node => {
+    const fragment = document.createDocumentFragment();
+    const text = node.nodeValue;
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(CITATION_PATTERN)) {
+      const numbers = match[1].split(",").map(n => Number(n.trim()));
+
+      // Leave markers that don't refer to a known source as plain text
+      if (!numbers.every(n => n >= 1 && n <= sources.length)) continue;
+
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+      numbers.forEach(number => {
+        fragment.appendChild(createCitationLink(messageEl, sources[number - 1], number));
+        cited.add(number);
+      });
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex === 0) return;
+
+    fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    node.replaceWith(fragment);
+  });
+
+  return cited;
+}
+
+/**
+ * Creates a superscript citation link with a hover preview
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {object} source - The cited source
+ * @param {number} number - 1-based source number
+ * @returns {HTMLElement} The <sup> element
+ */
+function createCitationLink(messageEl, source, number) {
+  const sup = document.createElement("sup");
+  sup.className = "citation";
+
+  const link = document.createElement("a");
+  link.href = "#";
+  link.dataset.cite = String(number);
+  link.textContent = String(number);
+  link.setAttribute("aria-label", `Source ${number}: ${source.title || "untitled"}`);
+
+  link.addEventListener("click", (e) => {
+    e.preventDefault();
+    highlightSource(messageEl, number);
+  });
+  link.addEventListener("mouseenter", () => showCitationPreview(link, source));
+  link.addEventListener("mouseleave", hideCitationPreview);
+  link.addEventListener("focus", () => showCitationPreview(link, source));
+  link.addEventListener("blur", hideCitationPreview);
+
+  sup.appendChild(link);
+  return sup;
+}
+
+/**
+ * Scrolls to and briefly highlights a source in a message's source list
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {number} number - 1-based source number
+ */
+function highlightSource(messageEl, number) {
+  const sourceEl = messageEl.querySelector(`.sources-container [data-source-index="${number}"]`);
+  if (!sourceEl) return;
+
+  sourceEl.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  sourceEl.classList.remove("source-highlight");
+  // Force a reflow so the highlight animation restarts on repeated clicks
+  void sourceEl.offsetWidth;
+  sourceEl.classList.add("source-highlight");
+}
+
+/**
+ * Shows the hover preview (title, publisher, date) for a citation
+ * @param {HTMLElement} anchor - The citation link
+ * @param {object} source - The cited source
+ */
+function showCitationPreview(anchor, source) {
+  let preview = document.getElementById("citation-preview");
+  if (!preview) {
+    preview = document.createElement("div");
+    preview.id = "citation-preview";
+    preview.className = "glass fixed z-50 px-3 py-2 max-w-xs text-xs pointer-events-none hidden";
+    preview.setAttribute("role", "tooltip");
+    document.body.appendChild(preview);
+  }
+
+  const publisher = source.publisher || source.source || hostnameOf(source.url);
+  const meta = [publisher, formatDate(source.published_at)].filter(Boolean).map(escapeHtml).join(" &bull; ");
+
+  preview.innerHTML = `
+    <p class="font-semibold mb-1" style="color: var(--text-primary);">${escapeHtml(source.title || "Untitled source")}</p>
+    ${meta ? `<p style="color: var(--text-secondary);">${meta}</p>` : ""}
+  `;
+  preview.classList.remove("hidden");
+
+  // Position above the citation, kept inside the viewport
+  const rect = anchor.getBoundingClientRect();
+  const previewRect = preview.getBoundingClientRect();
+  const left = Math.min(Math.max(8, rect.left), window.innerWidth - previewRect.width - 8);
+  const top = rect.top - previewRect.height - 6 < 8 ? rect.bottom + 6 : rect.top - previewRect.height - 6;
+  preview.style.left = `${left}px`;
+  preview.style.top = `${top}px`;
+}
+
+/**
+ * Hides the citation hover preview
+ */
+function hideCitationPreview() {
+  const preview = document.getElementById("citation-preview");
+  if (preview) {
+    preview.classList.add("hidden");
+  }
+}
+
+/**
+ * Extracts the hostname of a URL (used as a publisher fallback)
+ * @param {string} url - Source URL
+ * @returns {string} Hostname without "www.", or empty string
+ */
+function hostnameOf(url) {
+  if (!url) return "";
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
 }
 
 /**
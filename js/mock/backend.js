@@ -0,0 +1,665 @@
+/**
+ * Mock Backend
+ * Serves realistic fixtures for every endpoint the frontend calls, entirely in the browser.
+ * Installed by main.js when the "mock" API profile is selected (e.g. ?api=mock).
+ */
+
+import { API_PROFILES } from '../config.js';
+import { sleep } from '../utils.js';
+import { ENTITIES, ARTICLES, PORTFOLIO_COMPANIES, FUNDING_ROUNDS, generateSyncedArticles } from './fixtures.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Route table: method, path pattern and handler({ params, query, body, headers })
+const ROUTES = [
+  { method: 'GET', pattern: /^\/health$/, handler: () => ({ status: 'ok', mock: true }) },
+  { method: 'POST', pattern: /^\/api\/chat\/stream$/, handler: handleChatStream },
+  { method: 'GET', pattern: /^\/api\/entities$/, handler: handleEntityList },
+  { method: 'GET', pattern: /^\/api\/entities\/search$/, handler: handleEntitySearch },
+  { method: 'GET', pattern: /^\/api\/entities\/([^/]+)\/profile$/, handler: handleEntityProfile },
+  { method: 'GET', pattern: /^\/api\/entities\/([^/]+)\/timeline$/, handler: handleEntityTimeline },
+  { method: 'GET', pattern: /^\/api\/entities\/([^/]+)\/articles$/, handler: handleEntityArticles },
+  { method: 'GET', pattern: /^\/api\/articles$/, handler: handleArticles },
+  { method: 'GET', pattern: /^\/api\/trends\/topics$/, handler: handleTrendingTopics },
+  { method: 'GET', pattern: /^\/api\/trends\/sentiment$/, handler: handleSentiment },
+  { method: 'GET', pattern: /^\/api\/trends\/sentiment\/timeline$/, handler: handleSentimentTimeline },
+  { method: 'GET', pattern: /^\/api\/portfolio\/companies$/, handler: handlePortfolioCompanies },
+  { method: 'GET', pattern: /^\/api\/portfolio\/company\/([^/]+)$/, handler: handleCompanyDetail },
+  { method: 'GET', pattern: /^\/api\/portfolio\/funding$/, handler: handleFunding },
+  { method: 'POST', pattern: /^\/api\/feedback$/, handler: () => ({ status: 'ok' }) },
+  { method: 'POST', pattern: /^\/api\/sync$/, handler: handleSync }
+];
+
+/**
+ * Install the mock backend by wrapping window.fetch
+ * Requests to the mock base URL are answered locally; everything else passes through
+ */
+export function installMockBackend() {
+  const realFetch = window.fetch.bind(window);
+
+  window.fetch = (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(API_PROFILES.mock)) {
+      return realFetch(input, init);
+    }
+    return handleMockRequest(url, init);
+  };
+
+  console.info('Mock backend installed: serving fixtures for', API_PROFILES.mock);
+}
+
+/**
+ * Answer a request to the mock backend
+ * @param {string} url - Request URL
+ * @param {object} init - Fetch options
+ * @returns {Promise<Response>} Mock response
+ */
+async function handleMockRequest(url, init) {
+  const { pathname, searchParams } = new URL(url);
+  const method = (init.method || 'GET').toUpperCase();
+  const signal = init.signal || null;
+
+  // Simulate network latency
+  await sleep(150 + Math.random() * 250);
+  if (signal && signal.aborted) {
+    throw new DOMException('The operation was aborted.', 'AbortError');
+  }
+
+  for (const route of ROUTES) {
+    const match = route.method === method && pathname.match(route.pattern);
+    if (!match) continue;
+
+    const result = route.handler({
+      params: match.slice(1).map(decodeURIComponent),
+      query: searchParams,
+      body: init.body ? JSON.parse(init.body) : null,
+      headers: new Headers(init.headers || {}),
+      signal
+    });
+
+    // Handlers return either a ready Response (streams) or JSON data
+    if (result instanceof Response) return result;
+    return jsonResponse(result);
+  }
+
+  return jsonResponse({ detail: `Mock backend has no route for ${method} ${pathname}` }, 404);
+}
+
+/**
+ * Build a JSON response
+ * @param {object} data - Response body
+ * @param {number} status - HTTP status
+ * @returns {Response} Response
+ */
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Articles published in the requested window (?days=N, or ?start=&end= which wins)
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {Array} Articles in the window
+ */
+function articlesInWindow(query) {
+  if (query.get('start') || query.get('end')) {
+    const start = query.get('start') ? Date.parse(query.get('start')) : -Infinity;
+    const end = query.get('end') ? Date.parse(query.get('end')) : Infinity;
+    return ARTICLES.filter(article => {
+      const time = Date.parse(article.published_at);
+      return time >= start && time < end;
+    });
+  }
+
+  const days = Number(query.get('days')) || 7;
+  const since = Date.now() - days * DAY_MS;
+  return ARTICLES.filter(article => Date.parse(article.published_at) >= since);
+}
+
+/**
+ * Find an entity by name (case-insensitive)
+ * @param {string} name - Entity name
+ * @returns {object|undefined} Entity fixture
+ */
+function findEntity(name) {
+  const lower = name.trim().toLowerCase();
+  return ENTITIES.find(entity => entity.name.toLowerCase() === lower);
+}
+
+/**
+ * Count values of a key across items
+ * @param {Array} items - Items
+ * @param {function} getKey - Callback(item) returning the key
+ * @returns {object} Counts by key
+ */
+function countBy(items, getKey) {
+  return items.reduce((counts, item) => {
+    const key = getKey(item);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Public shape of an article (without internal fields)
+ * @param {object} article - Article fixture
+ * @returns {object} Article as returned by the API
+ */
+function toApiArticle(article) {
+  const { id, title, url, publisher, published_at, sentiment, category } = article;
+  return { id, title, url, publisher, published_at, sentiment, category };
+}
+
+/**
+ * GET /api/entities?q=&label=&sort=&offset=&limit=
+ * sort is "mentions" (default), "recent" (last mentioned first) or "name"
+ */
+function handleEntityList({ query }) {
+  const q = (query.get('q') || '').trim().toLowerCase();
+  const label = query.get('label');
+  const sort = query.get('sort') || 'mentions';
+  const offset = Number(query.get('offset')) || 0;
+  const limit = Number(query.get('limit')) || 25;
+
+  const entities = ENTITIES
+    .filter(entity => entity.name.toLowerCase().includes(q) && (!label || entity.label === label))
+    .map(entity => {
+      // ARTICLES is newest first, so the first match is the latest mention
+      const articles = ARTICLES.filter(article => article.entities.includes(entity.name));
+      return {
+        name: entity.name,
+        label: entity.label,
+        mention_count: articles.length,
+        last_mentioned_at: articles.length > 0 ? articles[0].published_at : null
+      };
+    });
+
+  const sorters = {
+    mentions: (a, b) => b.mention_count - a.mention_count,
+    recent: (a, b) => (b.last_mentioned_at || '').localeCompare(a.last_mentioned_at || ''),
+    name: (a, b) => a.name.localeCompare(b.name)
+  };
+  entities.sort(sorters[sort] || sorters.mentions);
+
+  return {
+    total: entities.length,
+    offset,
+    limit,
+    entities: entities.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * GET /api/entities/search?q=&limit=
+ * Name prefix matches rank before substring matches, then by mention count
+ */
+function handleEntitySearch({ query }) {
+  const q = (query.get('q') || '').trim().toLowerCase();
+  const limit = Number(query.get('limit')) || 10;
+  const mentionCounts = countBy(ARTICLES.flatMap(a => a.entities), name => name);
+
+  const entities = ENTITIES
+    .filter(entity => entity.name.toLowerCase().includes(q))
+    .map(entity => ({
+      name: entity.name,
+      label: entity.label,
+      mention_count: mentionCounts[entity.name] || 0,
+      prefix: entity.name.toLowerCase().startsWith(q)
+    }))
+    .sort((a, b) => (b.prefix - a.prefix) || (b.mention_count - a.mention_count))
+    .slice(0, limit)
+    .map(({ prefix, ...entity }) => entity);
+
+  return { entities };
+}
+
+/**
+ * GET /api/entities/{name}/profile
+ */
+function handleEntityProfile({ params }) {
+  const entity = findEntity(params[0]);
+  if (!entity) {
+    return { found: false, entity_name: params[0] };
+  }
+
+  const articles = ARTICLES.filter(article => article.entities.includes(entity.name));
+
+  const coCounts = {};
+  articles.forEach(article => {
+    article.entities
+      .filter(name => name !== entity.name)
+      .forEach(name => { coCounts[name] = (coCounts[name] || 0) + 1; });
+  });
+
+  return {
+    found: true,
+    entity_name: entity.name,
+    label: entity.label,
+    total_mentions: articles.length,
+    sentiment_breakdown: countBy(articles, a => a.sentiment),
+    category_breakdown: countBy(articles, a => a.category),
+    co_occurring_entities: Object.entries(coCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, count]) => ({
+        entity_name: name,
+        label: findEntity(name).label,
+        co_occurrence_count: count,
+        total_mentions: ARTICLES.filter(article => article.entities.includes(name)).length
+      })),
+    recent_articles: articles.slice(0, 10).map(toApiArticle)
+  };
+}
+
+/**
+ * GET /api/entities/{name}/timeline?weeks=
+ * Weekly mention counts by sentiment; weeks start on Monday (UTC)
+ */
+function handleEntityTimeline({ params, query }) {
+  const entity = findEntity(params[0]);
+  if (!entity) {
+    return { found: false, entity_name: params[0], weeks: [] };
+  }
+
+  const weeks = Math.min(Number(query.get('weeks')) || 12, 104);
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const currentWeekStart = today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS;
+
+  const articles = ARTICLES.filter(article => article.entities.includes(entity.name));
+
+  return {
+    found: true,
+    entity_name: entity.name,
+    weeks: Array.from({ length: weeks }, (_, i) => {
+      const start = currentWeekStart - (weeks - 1 - i) * 7 * DAY_MS;
+      const end = start + 7 * DAY_MS;
+      const inWeek = articles.filter(article => {
+        const time = Date.parse(article.published_at);
+        return time >= start && time < end;
+      });
+      const counts = countBy(inWeek, a => a.sentiment);
+      return {
+        week_start: new Date(start).toISOString(),
+        week_end: new Date(end).toISOString(),
+        total: inWeek.length,
+        bullish: counts.bullish || 0,
+        neutral: counts.neutral || 0,
+        bearish: counts.bearish || 0
+      };
+    })
+  };
+}
+
+/**
+ * GET /api/entities/{name}/articles?start=&end=&sentiment=&category=&sort=&offset=&limit=
+ * sort is "newest" (default) or "oldest"
+ */
+function handleEntityArticles({ params, query }) {
+  const entity = findEntity(params[0]);
+  if (!entity) {
+    return { found: false, entity_name: params[0], articles: [], total: 0 };
+  }
+
+  const start = query.get('start') ? Date.parse(query.get('start')) : -Infinity;
+  const end = query.get('end') ? Date.parse(query.get('end')) : Infinity;
+  const offset = Number(query.get('offset')) || 0;
+  const limit = Number(query.get('limit')) || 50;
+  const sentiment = query.get('sentiment');
+  const category = query.get('category');
+
+  const articles = ARTICLES.filter(article => {
+    const time = Date.parse(article.published_at);
+    return article.entities.includes(entity.name) && time >= start && time < end &&
+      (!sentiment || article.sentiment === sentiment) &&
+      (!category || article.category === category);
+  });
+
+  // ARTICLES is newest first
+  if (query.get('sort') === 'oldest') {
+    articles.reverse();
+  }
+
+  return {
+    found: true,
+    entity_name: entity.name,
+    total: articles.length,
+    offset,
+    limit,
+    articles: articles.slice(offset, offset + limit).map(toApiArticle)
+  };
+}
+
+/**
+ * GET /api/articles?topic=&sentiment=&days=&offset=&limit= (or start=&end= instead of days)
+ * Articles in the window, newest first
+ */
+function handleArticles({ query }) {
+  const topic = query.get('topic');
+  const sentiment = query.get('sentiment');
+  const offset = Number(query.get('offset')) || 0;
+  const limit = Number(query.get('limit')) || 20;
+
+  const articles = articlesInWindow(query).filter(article =>
+    (!topic || article.topic === topic) && (!sentiment || article.sentiment === sentiment)
+  );
+
+  return {
+    total: articles.length,
+    offset,
+    limit,
+    articles: articles.slice(offset, offset + limit).map(toApiArticle)
+  };
+}
+
+/**
+ * GET /api/trends/topics?days=&limit= (or start=&end= instead of days)
+ */
+function handleTrendingTopics({ query }) {
+  const limit = Number(query.get('limit')) || 10;
+  const counts = countBy(articlesInWindow(query), a => a.topic);
+
+  return {
+    topics: Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([topic, articles]) => ({ topic, articles }))
+  };
+}
+
+/**
+ * GET /api/trends/sentiment?days= (or start=&end=)
+ */
+function handleSentiment({ query }) {
+  const articles = articlesInWindow(query);
+  const counts = countBy(articles, a => a.sentiment);
+
+  return {
+    total_articles: articles.length,
+    breakdown: Object.entries(counts).map(([sentiment, count]) => ({ sentiment, count }))
+  };
+}
+
+/**
+ * GET /api/trends/sentiment/timeline?days=&interval= (or start=&end=)
+ * Article counts by sentiment per hour, day or week (UTC; weeks start on Monday)
+ */
+function handleSentimentTimeline({ query }) {
+  const interval = ['hour', 'day', 'week'].includes(query.get('interval')) ? query.get('interval') : 'day';
+  const end = query.get('end') ? Date.parse(query.get('end')) : Date.now();
+  const start = query.get('start')
+    ? Date.parse(query.get('start'))
+    : end - (Number(query.get('days')) || 7) * DAY_MS;
+
+  // Start of the bucket containing a timestamp
+  const bucketStart = (time) => {
+    const date = new Date(time);
+    if (interval === 'hour') {
+      date.setUTCMinutes(0, 0, 0);
+    } else {
+      date.setUTCHours(0, 0, 0, 0);
+      if (interval === 'week') {
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      }
+    }
+    return date.getTime();
+  };
+  const step = { hour: DAY_MS / 24, day: DAY_MS, week: 7 * DAY_MS }[interval];
+
+  const points = new Map();
+  for (let time = bucketStart(start); time < end; time += step) {
+    points.set(time, { start: new Date(time).toISOString(), bullish: 0, neutral: 0, bearish: 0 });
+  }
+
+  ARTICLES.forEach(article => {
+    const time = Date.parse(article.published_at);
+    if (time < start || time >= end) return;
+    const point = points.get(bucketStart(time));
+    if (point && article.sentiment in point) {
+      point[article.sentiment] += 1;
+    }
+  });
+
+  return { interval, points: Array.from(points.values()) };
+}
+
+/**
+ * News coverage for a portfolio company (articles mentioning its first name word)
+ * @param {object} company - Portfolio company fixture
+ * @returns {Array} Matching articles
+ */
+function companyNews(company) {
+  const keyword = company.name.split(' ')[0].toLowerCase();
+  return ARTICLES.filter(article => article.title.toLowerCase().includes(keyword)).slice(0, 5);
+}
+
+/**
+ * GET /api/portfolio/companies?limit=
+ */
+function handlePortfolioCompanies({ query }) {
+  const limit = Number(query.get('limit')) || 50;
+
+  return {
+    companies: PORTFOLIO_COMPANIES.slice(0, limit).map(company => ({
+      slug: company.slug,
+      name: company.name,
+      intel_count: company.intel.length,
+      funding_count: company.funding.length,
+      blog_count: company.blogs.length,
+      news_items_count: companyNews(company).length
+    }))
+  };
+}
+
+/**
+ * GET /api/portfolio/company/{slug}
+ */
+function handleCompanyDetail({ params }) {
+  const company = PORTFOLIO_COMPANIES.find(c => c.slug === params[0]);
+  if (!company) {
+    return { found: false };
+  }
+
+  const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+  const site = `https://${company.slug}.example.com`;
+
+  return {
+    found: true,
+    name: company.name,
+    sectors: company.sectors,
+    intel: company.intel.map(item => ({
+      headline: item.headline,
+      item_type: item.item_type,
+      why_it_matters: item.why_it_matters,
+      collected_at: daysAgo(item.days_ago),
+      sources: [{ label: 'Announcement', url: `${site}/news` }]
+    })),
+    funding: company.funding.map(f => ({ round: f.round, amount: f.amount, date: daysAgo(f.days_ago) })),
+    blogs: company.blogs.map(post => ({
+      title: post.title,
+      url: `${site}/blog/${post.title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      date: daysAgo(post.days_ago),
+      excerpt: post.excerpt
+    })),
+    news_items: companyNews(company).map(article => ({
+      title: article.title,
+      url: article.url,
+      publisher: article.publisher,
+      date: article.published_at
+    }))
+  };
+}
+
+/**
+ * GET /api/portfolio/funding?days=&limit=
+ */
+function handleFunding({ query }) {
+  const days = Number(query.get('days')) || 30;
+  const limit = Number(query.get('limit')) || 15;
+
+  return {
+    funding_rounds: FUNDING_ROUNDS
+      .filter(round => round.days_ago <= days)
+      .slice(0, limit)
+      .map(({ days_ago, ...round }) => ({
+        ...round,
+        date: new Date(Date.now() - days_ago * DAY_MS).toISOString()
+      }))
+  };
+}
+
+/**
+ * POST /api/sync
+ * Adds up to five fresh articles to the corpus
+ */
+function handleSync() {
+  const newArticles = generateSyncedArticles(Math.floor(Math.random() * 6), ARTICLES.length + 1);
+  ARTICLES.unshift(...newArticles);
+  return { status: 'ok', new_articles: newArticles.length };
+}
+
+/**
+ * POST /api/chat/stream
+ * Streams status, meta, token and done events as SSE with incrementing IDs;
+ * honors Last-Event-ID so interrupted answers resume without duplicates
+ */
+function handleChatStream({ body, headers, signal }) {
+  const events = buildChatEvents(body.question || '', body.history || [], body.entities || []);
+  const resumeAfter = Number(headers.get('Last-Event-ID')) || 0;
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      let closed = false;
+      const abort = () => {
+        if (closed) return;
+        closed = true;
+        controller.error(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      if (signal) {
+        signal.addEventListener('abort', abort);
+      }
+
+      controller.enqueue(encoder.encode(': mock stream\nretry: 1000\n\n'));
+
+      for (let i = resumeAfter; i < events.length; i++) {
+        const event = events[i];
+        await sleep(event.type === 'token' ? 25 : 450);
+        if (closed) return;
+        controller.enqueue(encoder.encode(`id: ${i + 1}\ndata: ${JSON.stringify(event)}\n\n`));
+      }
+
+      closed = true;
+      controller.close();
+    }
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+/**
+ * Build the full event sequence for a mock answer
+ * @param {string} question - The question
+ * @param {Array} history - Previous turns
+ * @param {Array} references - Resolved entity references [{name, label}] from @mentions
+ * @returns {Array} Events [{type, data}]
+ */
+function buildChatEvents(question, history, references) {
+  const lowerQuestion = question.toLowerCase();
+
+  // Longest names first so "Uniswap v4" wins over "Uniswap"
+  const byLength = [...ENTITIES].sort((a, b) => b.name.length - a.name.length);
+  const findMentioned = (text) => byLength.filter(entity => text.toLowerCase().includes(entity.name.toLowerCase()));
+
+  // Resolved @mentions take precedence over names found in the text
+  let focus = references.map(reference => findEntity(reference.name)).filter(Boolean);
+  if (focus.length === 0) {
+    focus = findMentioned(lowerQuestion);
+  }
+
+  // Follow-up questions inherit the entities of the previous turn
+  if (focus.length === 0 && history.length > 0) {
+    const previous = history[history.length - 1];
+    focus = findMentioned(`${previous.question} ${previous.answer}`);
+  }
+
+  // Otherwise answer about the most discussed entities of the week
+  const weekArticles = ARTICLES.filter(a => Date.parse(a.published_at) >= Date.now() - 7 * DAY_MS);
+  if (focus.length === 0) {
+    const weekCounts = countBy(weekArticles.flatMap(a => a.entities), name => name);
+    focus = Object.entries(weekCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([name]) => findEntity(name));
+  }
+  focus = focus.slice(0, 3);
+
+  const focusNames = focus.map(entity => entity.name);
+  const related = ARTICLES.filter(article => article.entities.some(name => focusNames.includes(name)));
+  const sources = related.slice(0, 4);
+
+  const rows = focus.map(entity => {
+    const mentions = related.filter(article => article.entities.includes(entity.name));
+    const sentiments = countBy(mentions, a => a.sentiment);
+    return {
+      entity: entity.name,
+      label: entity.label,
+      mentions: mentions.length,
+      bullish: sentiments.bullish || 0,
+      neutral: sentiments.neutral || 0,
+      bearish: sentiments.bearish || 0
+    };
+  });
+
+  const questionType = /trend|trending|latest|week/.test(lowerQuestion)
+    ? 'trend_analysis'
+    : /fund|raise|round|invest/.test(lowerQuestion) ? 'funding' : 'entity_profile';
+
+  const cypher = [
+    'MATCH (e:Entity)<-[:MENTIONS]-(a:Article)',
+    `WHERE e.name IN [${focusNames.map(name => `'${name}'`).join(', ')}]`,
+    'RETURN e.name AS entity, labels(e)[0] AS label, count(a) AS mentions,',
+    "       sum(CASE a.sentiment WHEN 'bullish' THEN 1 ELSE 0 END) AS bullish,",
+    "       sum(CASE a.sentiment WHEN 'neutral' THEN 1 ELSE 0 END) AS neutral,",
+    "       sum(CASE a.sentiment WHEN 'bearish' THEN 1 ELSE 0 END) AS bearish",
+    'ORDER BY mentions DESC'
+  ].join('\n');
+
+  // Compose a markdown answer that cites its sources
+  const lines = [`Here is what the knowledge graph shows for **${focusNames.join('**, **')}**:`, ''];
+  rows.forEach(row => {
+    const dominant = ['bullish', 'neutral', 'bearish'].sort((a, b) => row[b] - row[a])[0];
+    const citation = sources.findIndex(s => s.entities.includes(row.entity));
+    lines.push(`- **${row.entity}** (${row.label}) appears in ${row.mentions} articles, with mostly ${dominant} coverage${citation >= 0 ? ` [${citation + 1}]` : ''}.`);
+  });
+  lines.push('', 'Recent coverage highlights:', '');
+  sources.forEach((source, i) => lines.push(`${i + 1}. ${source.title} (${source.publisher}) [${i + 1}]`));
+  lines.push('', 'Overall, attention remains concentrated on these names, and the sentiment mix suggests the narrative is still developing.');
+  const answer = lines.join('\n');
+
+  // Stream the answer in small word chunks
+  const tokens = answer.match(/\S+\s*|\s+/g) || [];
+
+  return [
+    { type: 'status', data: 'classifying' },
+    { type: 'status', data: 'generating_cypher' },
+    { type: 'status', data: 'querying_graph' },
+    {
+      type: 'meta',
+      data: {
+        question_type: questionType,
+        cypher,
+        graph_results: rows,
+        entities: focus.map(entity => ({ name: entity.name, label: entity.label })),
+        sources: sources.map(toApiArticle)
+      }
+    },
+    { type: 'status', data: 'answering' },
+    ...tokens.map(token => ({ type: 'token', data: token })),
+    { type: 'done', data: null }
+  ];
+}
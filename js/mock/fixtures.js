@@ -0,0 +1,256 @@
+/**
+ * Mock Backend Fixtures
+ * Deterministic sample data for the in-browser mock backend (API profile "mock")
+ */
+
+// Entities in the mock knowledge graph
+export const ENTITIES = [
+  { name: 'Ethereum', label: 'Protocol', weight: 10 },
+  { name: 'Bitcoin', label: 'Protocol', weight: 10 },
+  { name: 'Solana', label: 'Protocol', weight: 7 },
+  { name: 'Uniswap', label: 'Protocol', weight: 6 },
+  { name: 'Uniswap v4', label: 'Protocol', weight: 3 },
+  { name: 'Arbitrum', label: 'Protocol', weight: 5 },
+  { name: 'Optimism', label: 'Protocol', weight: 4 },
+  { name: 'Base', label: 'Protocol', weight: 5 },
+  { name: 'Aave', label: 'Protocol', weight: 4 },
+  { name: 'Lido', label: 'Protocol', weight: 3 },
+  { name: 'EigenLayer', label: 'Protocol', weight: 4 },
+  { name: 'dYdX', label: 'Protocol', weight: 3 },
+  { name: 'Coinbase', label: 'Company', weight: 8 },
+  { name: 'Coinbase Ventures', label: 'Company', weight: 3 },
+  { name: 'Circle', label: 'Company', weight: 5 },
+  { name: 'a16z', label: 'Company', weight: 4 },
+  { name: 'Paradigm', label: 'Company', weight: 3 },
+  { name: 'BlackRock', label: 'Company', weight: 5 },
+  { name: 'Vitalik Buterin', label: 'Person', weight: 4 },
+  { name: 'Brian Armstrong', label: 'Person', weight: 3 },
+  { name: 'Hayden Adams', label: 'Person', weight: 2 },
+  { name: 'Gary Gensler', label: 'Person', weight: 3 }
+];
+
+// Trending topics and the article category they map to
+export const TOPICS = [
+  { topic: 'DeFi', category: 'defi' },
+  { topic: 'Layer 2', category: 'technology' },
+  { topic: 'Stablecoins', category: 'markets' },
+  { topic: 'Regulation', category: 'regulation' },
+  { topic: 'Bitcoin ETF', category: 'markets' },
+  { topic: 'Restaking', category: 'defi' },
+  { topic: 'AI x Crypto', category: 'technology' },
+  { topic: 'Venture Funding', category: 'funding' },
+  { topic: 'Security Incidents', category: 'security' },
+  { topic: 'Tokenization', category: 'markets' }
+];
+
+// Publishers and their domains
+const PUBLISHERS = [
+  { name: 'CoinDesk', domain: 'www.coindesk.com' },
+  { name: 'The Block', domain: 'www.theblock.co' },
+  { name: 'Decrypt', domain: 'decrypt.co' },
+  { name: 'Blockworks', domain: 'blockworks.co' },
+  { name: 'The Defiant', domain: 'thedefiant.io' }
+];
+
+// Headline templates: {a} and {b} are entities, {topic} is the topic
+const HEADLINES = {
+  bullish: [
+    '{a} surges as {topic} momentum builds',
+    '{a} and {b} announce {topic} partnership',
+    '{a} hits record activity amid {topic} rally',
+    'Analysts upgrade outlook for {a} on {topic} growth'
+  ],
+  neutral: [
+    '{a} outlines {topic} roadmap for next quarter',
+    'What {b} means for {a} in the {topic} race',
+    '{a} governance votes on {topic} proposal',
+    '{topic} explained: where {a} and {b} stand'
+  ],
+  bearish: [
+    '{a} faces pushback over {topic} plans',
+    '{topic} slowdown weighs on {a}',
+    '{a} outflows rise as {b} draws {topic} users',
+    'Regulators scrutinize {a} over {topic} exposure'
+  ]
+};
+
+/**
+ * Small seeded PRNG (mulberry32) so fixtures are identical on every load
+ * @param {number} seed - Seed value
+ * @returns {function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick an item from a weighted list
+ * @param {Array} items - Items with a numeric weight
+ * @param {function} random - PRNG
+ * @returns {object} The picked item
+ */
+function pickWeighted(items, random) {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let r = random() * total;
+  for (const item of items) {
+    r -= item.weight;
+    if (r <= 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+/**
+ * Generate the article corpus: ~4 articles a day over the last 180 days
+ * Recent weeks carry extra Restaking and AI x Crypto coverage so emerging topics stand out
+ * @returns {Array} Articles {id, title, url, publisher, published_at, sentiment, category, topic, entities}
+ */
+function generateArticles() {
+  const random = createRandom(20250101);
+  const articles = [];
+  const now = Date.now();
+
+  for (let day = 0; day < 180; day++) {
+    const perDay = 2 + Math.floor(random() * 5);
+    for (let i = 0; i < perDay; i++) {
+      articles.push(createArticle(random, `article-${articles.length + 1}`, day, now));
+    }
+  }
+
+  // Newest first
+  return articles.sort((x, y) => y.published_at.localeCompare(x.published_at));
+}
+
+/**
+ * Generate articles published in the last day, as brought in by a sync
+ * @param {number} count - Number of articles
+ * @param {number} firstId - Number used for the first article ID
+ * @returns {Array} Articles, newest first
+ */
+export function generateSyncedArticles(count, firstId) {
+  const random = createRandom(Date.now());
+  const now = Date.now();
+
+  return Array.from({ length: count }, (_, i) => createArticle(random, `article-${firstId + i}`, 0, now))
+    .sort((x, y) => y.published_at.localeCompare(x.published_at));
+}
+
+/**
+ * Create one article mentioning two entities
+ * @param {function} random - PRNG
+ * @param {string} id - Article ID
+ * @param {number} day - Age in days (0 is the last 24 hours)
+ * @param {number} now - Reference timestamp (ms)
+ * @returns {object} Article
+ */
+function createArticle(random, id, day, now) {
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  const a = pickWeighted(ENTITIES, random);
+  let b = pickWeighted(ENTITIES, random);
+  if (b === a) b = ENTITIES[(ENTITIES.indexOf(a) + 1) % ENTITIES.length];
+
+  // Emerging narratives in the last two weeks
+  let topicEntry = TOPICS[Math.floor(random() * TOPICS.length)];
+  if (day < 14 && random() < 0.35) {
+    topicEntry = random() < 0.6 ? TOPICS[5] : TOPICS[6];
+  }
+
+  const sentimentRoll = random();
+  const sentiment = sentimentRoll < 0.42 ? 'bullish' : sentimentRoll < 0.78 ? 'neutral' : 'bearish';
+  const templates = HEADLINES[sentiment];
+  const title = templates[Math.floor(random() * templates.length)]
+    .replace('{a}', a.name)
+    .replace('{b}', b.name)
+    .replace('{topic}', topicEntry.topic);
+
+  const publisher = PUBLISHERS[Math.floor(random() * PUBLISHERS.length)];
+  const publishedAt = new Date(now - day * dayMs - Math.floor(random() * dayMs));
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+  return {
+    id,
+    title,
+    url: `https://${publisher.domain}/mock/${publishedAt.toISOString().slice(0, 10)}/${slug}`,
+    publisher: publisher.name,
+    published_at: publishedAt.toISOString(),
+    sentiment,
+    category: topicEntry.category,
+    topic: topicEntry.topic,
+    entities: [a.name, b.name]
+  };
+}
+
+export const ARTICLES = generateArticles();
+
+// Portfolio companies with intel, funding, blog posts and news coverage
+export const PORTFOLIO_COMPANIES = [
+  {
+    slug: 'eigenlayer', name: 'EigenLayer', sectors: ['Restaking', 'Infrastructure'],
+    intel: [
+      { headline: 'EigenLayer opens permissionless AVS registration', item_type: 'product', why_it_matters: 'Expands the set of services that can rent Ethereum security, a key driver of restaking demand.', days_ago: 3 },
+      { headline: 'Slashing goes live on mainnet', item_type: 'milestone', why_it_matters: 'Completes the restaking security model and removes a long-standing risk discount.', days_ago: 18 }
+    ],
+    funding: [{ round: 'Series B', amount: 100, days_ago: 240 }],
+    blogs: [{ title: 'Introducing Slashing', excerpt: 'Slashing is now live for operators and AVSs on mainnet.', days_ago: 18 }]
+  },
+  {
+    slug: 'uniswap-labs', name: 'Uniswap Labs', sectors: ['DeFi', 'DEX'],
+    intel: [
+      { headline: 'Uniswap v4 hooks see rapid developer adoption', item_type: 'traction', why_it_matters: 'Hooks turn the DEX into a platform; third-party hooks already route meaningful volume.', days_ago: 5 }
+    ],
+    funding: [{ round: 'Series B', amount: 165, days_ago: 900 }],
+    blogs: [{ title: 'Uniswap v4 is live', excerpt: 'Hooks, singleton pools and flash accounting arrive on mainnet.', days_ago: 40 }]
+  },
+  {
+    slug: 'circle', name: 'Circle', sectors: ['Stablecoins', 'Payments'],
+    intel: [
+      { headline: 'USDC supply climbs for sixth straight week', item_type: 'market', why_it_matters: 'Stablecoin growth is a leading indicator of on-chain liquidity.', days_ago: 2 }
+    ],
+    funding: [{ round: 'Series F', amount: 400, days_ago: 1200 }],
+    blogs: []
+  },
+  {
+    slug: 'arbitrum', name: 'Offchain Labs', sectors: ['Layer 2', 'Infrastructure'],
+    intel: [
+      { headline: 'Arbitrum Stylus brings Rust contracts to L2', item_type: 'product', why_it_matters: 'Opens the EVM ecosystem to a much larger developer pool.', days_ago: 9 }
+    ],
+    funding: [{ round: 'Series B', amount: 100, days_ago: 1300 }],
+    blogs: [{ title: 'Stylus is live on Arbitrum One', excerpt: 'Write smart contracts in Rust, C and C++.', days_ago: 9 }]
+  },
+  {
+    slug: 'dydx', name: 'dYdX', sectors: ['DeFi', 'Derivatives'],
+    intel: [
+      { headline: 'dYdX chain volume rebounds after fee cut', item_type: 'traction', why_it_matters: 'Perp DEX market share is shifting quickly between app-chains and L2s.', days_ago: 6 }
+    ],
+    funding: [{ round: 'Series C', amount: 65, days_ago: 1500 }],
+    blogs: []
+  },
+  {
+    slug: 'lido', name: 'Lido', sectors: ['Staking', 'DeFi'],
+    intel: [
+      { headline: 'Lido dual governance proposal passes', item_type: 'governance', why_it_matters: 'Gives stETH holders a veto path and addresses centralization concerns.', days_ago: 12 }
+    ],
+    funding: [],
+    blogs: [{ title: 'Dual governance explained', excerpt: 'How stETH holders can delay and veto DAO decisions.', days_ago: 12 }]
+  }
+];
+
+// Recent funding rounds across the market
+export const FUNDING_ROUNDS = [
+  { company: 'Succinct', round: 'Series A', stage: 'Early', amount: 55, days_ago: 4, lead_investors: ['Paradigm'], relevant_portfolio: ['EigenLayer'] },
+  { company: 'Monad Labs', round: 'Series A', stage: 'Early', amount: 225, days_ago: 9, lead_investors: ['Paradigm'], relevant_portfolio: [] },
+  { company: 'Berachain', round: 'Series B', stage: 'Growth', amount: 100, days_ago: 15, lead_investors: ['Framework Ventures', 'Brevan Howard Digital'], relevant_portfolio: [] },
+  { company: 'Farcaster', round: 'Series A', stage: 'Early', amount: 150, days_ago: 22, lead_investors: ['Paradigm'], relevant_portfolio: [] },
+  { company: 'Symbiotic', round: 'Seed', stage: 'Seed', amount: 5.8, days_ago: 31, lead_investors: ['Paradigm', 'Cyber Fund'], relevant_portfolio: ['EigenLayer', 'Lido'] },
+  { company: 'Morpho', round: 'Strategic', stage: 'Growth', amount: 50, days_ago: 38, lead_investors: ['Ribbit Capital'], relevant_portfolio: ['Uniswap Labs'] },
+  { company: 'Movement Labs', round: 'Series A', stage: 'Early', amount: 38, days_ago: 47, lead_investors: ['Polychain Capital'], relevant_portfolio: ['Offchain Labs'] },
+  { company: 'Ethena', round: 'Strategic', stage: 'Growth', amount: 14, days_ago: 55, lead_investors: ['Dragonfly'], relevant_portfolio: ['Circle'] },
+  { company: 'Aligned Layer', round: 'Series A', stage: 'Early', amount: 20, days_ago: 63, lead_investors: ['Hack VC'], relevant_portfolio: ['EigenLayer'] },
+  { company: 'Babylon', round: 'Series B', stage: 'Growth', amount: 70, days_ago: 80, lead_investors: ['Paradigm'], relevant_portfolio: ['Lido'] }
+];
@@ -3,9 +3,12 @@
  * Renders portfolio company grid and funding alerts
  */
 
-import { fetchWithRetry } from './api.js';
-import { API_BASE } from './config.js';
+import { cachedFetch } from './cache.js';
 import { formatDate, formatCurrency, escapeHtml } from './utils.js';
+import { navigate, getRoute } from './router.js';
+
+// Company names by slug from the grid, used as the modal title while loading
+const companyNames = new Map();
 
 /**
  * Render the portfolio companies grid
@@ -18,8 +21,10 @@ export async function renderPortfolioGrid() {
   }
 
   try {
-    const response = await fetchWithRetry(API_BASE + '/api/portfolio/companies?limit=50');
-    const data = await response.json();
+    // Cached data renders instantly; a background refresh re-renders with newer data
+    const data = await cachedFetch('/api/portfolio/companies?limit=50', {
+      onRevalidate: () => renderPortfolioGrid()
+    });
 
     if (!data.companies || data.companies.length === 0) {
       container.innerHTML = `
@@ -57,10 +62,11 @@ export async function renderPortfolioGrid() {
       </div>
     `).join('');
 
-    // Add click handlers to cards
+    // Add click handlers to cards (each company gets its own URL)
     container.querySelectorAll('[data-slug]').forEach(card => {
+      companyNames.set(card.dataset.slug, card.dataset.companyName);
       card.addEventListener('click', () => {
-        showCompanyDetail(card.dataset.slug, card.dataset.companyName);
+        navigate({ company: card.dataset.slug, entity: null });
       });
     });
 
@@ -88,8 +94,9 @@ export async function renderFundingAlerts() {
 
   try {
     // Use 90 days to ensure we get results even with older seeded data
-    const response = await fetchWithRetry(API_BASE + '/api/portfolio/funding?days=90&limit=15');
-    const data = await response.json();
+    const data = await cachedFetch('/api/portfolio/funding?days=90&limit=15', {
+      onRevalidate: () => renderFundingAlerts()
+    });
 
     if (!data.funding_rounds || data.funding_rounds.length === 0) {
       container.innerHTML = `
@@ -149,15 +156,16 @@ export async function renderFundingAlerts() {
 }
 
 /**
- * Show company detail in modal
+ * Show company detail in modal (called by the router)
+ * @param {string} slug - Company slug
  */
-async function showCompanyDetail(slug, name) {
+export async function showCompanyDetail(slug) {
   const modal = document.getElementById('entity-modal');
   const title = document.getElementById('entity-modal-title');
   const content = document.getElementById('entity-modal-content');
   if (!modal || !title || !content) return;
 
-  title.textContent = name;
+  title.textContent = companyNames.get(slug) || slug;
   content.innerHTML = `
     <div class="flex items-center gap-2 text-gray-400 py-8 justify-center">
       <svg class="animate-spin h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -168,10 +176,20 @@ async function showCompanyDetail(slug, name) {
     </div>
   `;
   modal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
 
   try {
-    const response = await fetchWithRetry(API_BASE + '/api/portfolio/company/' + slug);
-    const data = await response.json();
+    const data = await cachedFetch('/api/portfolio/company/' + slug, {
+      onRevalidate: () => {
+        // Only refresh if this company is still open
+        if (getRoute().company === slug) {
+          showCompanyDetail(slug);
+        }
+      }
+    });
+
+    // Another view was opened while loading
+    if (getRoute().company !== slug) return;
 
     if (!data.found) {
       content.innerHTML = '<p class="text-gray-400">Company not found</p>';
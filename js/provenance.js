@@ -0,0 +1,284 @@
+/**
+ * Answer Provenance Panel
+ * Shows how an answer was produced: question classification, generated Cypher,
+ * raw graph records and per-stage pipeline timings
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Pipeline stages in order, with display names
+const STAGE_LABELS = {
+  classifying: 'Classification',
+  generating_cypher: 'Cypher generation',
+  querying_graph: 'Graph query',
+  answering: 'Answer writing'
+};
+
+// Maximum number of graph records rendered in the table
+const MAX_RECORD_ROWS = 50;
+
+// Cypher keywords highlighted in the query view
+const CYPHER_KEYWORDS = [
+  'MATCH', 'OPTIONAL', 'WHERE', 'RETURN', 'WITH', 'ORDER', 'BY', 'LIMIT', 'SKIP', 'AS',
+  'AND', 'OR', 'NOT', 'XOR', 'IN', 'IS', 'NULL', 'DISTINCT', 'UNWIND', 'CASE', 'WHEN',
+  'THEN', 'ELSE', 'END', 'ASC', 'DESC', 'ASCENDING', 'DESCENDING', 'CONTAINS', 'STARTS',
+  'ENDS', 'EXISTS', 'CALL', 'YIELD', 'UNION', 'ALL', 'TRUE', 'FALSE', 'COUNT', 'COLLECT',
+  'SUM', 'AVG', 'MIN', 'MAX', 'SIZE', 'DATE', 'DATETIME', 'DURATION', 'TOLOWER', 'TOUPPER'
+];
+
+// One alternation per token type; order matters (comments and strings first)
+const CYPHER_TOKEN_PATTERN = new RegExp([
+  '(?<comment>\\/\\/[^\\n]*)',
+  '(?<string>\'(?:[^\'\\\\]|\\\\.)*\'|"(?:[^"\\\\]|\\\\.)*")',
+  '(?<param>\\$\\w+)',
+  '(?<label>(?<=[(\\[]\\s*\\w*(?:\\s*:\\s*`?\\w+`?)*\\s*):\\s*`?\\w+`?)',
+  '(?<number>\\b\\d+(?:\\.\\d+)?\\b)',
+  `(?<keyword>\\b(?:${CYPHER_KEYWORDS.join('|')})\\b)`
+].join('|'), 'gi');
+
+/**
+ * Create a timer that records when each pipeline stage starts
+ * @returns {object} Timer {mark(stage), finish() => Array<{stage, ms}>}
+ */
+export function createStageTimer() {
+  const marks = [];
+
+  return {
+    /**
+     * Record the start of a stage (repeated stages are ignored)
+     * @param {string} stage - Status event name
+     */
+    mark(stage) {
+      if (!STAGE_LABELS[stage] || marks.some(m => m.stage === stage)) return;
+      marks.push({ stage, start: performance.now() });
+    },
+
+    /**
+     * Stop timing and return each stage's duration
+     * @returns {Array<{stage: string, ms: number}>} Stage durations in order
+     */
+    finish() {
+      const end = performance.now();
+      return marks.map((mark, i) => ({
+        stage: mark.stage,
+        ms: Math.round((i + 1 < marks.length ? marks[i + 1].start : end) - mark.start)
+      }));
+    }
+  };
+}
+
+/**
+ * Render the "How this was answered" panel on a bot message
+ * @param {HTMLElement} messageEl - The bot message element
+ * @param {object} metaData - Metadata from the SSE meta event
+ * @param {Array} timings - Stage durations from createStageTimer().finish()
+ */
+export function renderProvenancePanel(messageEl, metaData, timings = []) {
+  if (!messageEl) return;
+
+  const container = messageEl.querySelector('.provenance-container');
+  if (!container) return;
+
+  const meta = metaData || {};
+  const classification = meta.question_type || meta.classification || meta.intent || null;
+  const cypher = meta.cypher || meta.cypher_query || null;
+  const records = meta.graph_results || meta.records || meta.results || null;
+
+  // Server-reported timings ({stage: ms}) take precedence over client-side measurements
+  const stageTimings = meta.timings && typeof meta.timings === 'object' && !Array.isArray(meta.timings)
+    ? Object.entries(meta.timings).map(([stage, ms]) => ({ stage, ms: Math.round(ms) }))
+    : timings;
+
+  if (!classification && !cypher && !records && stageTimings.length === 0) {
+    return;
+  }
+
+  container.innerHTML = `
+    <details class="glass rounded-lg px-3 py-2">
+      <summary class="text-xs cursor-pointer select-none" style="color: var(--text-secondary);">How this was answered</summary>
+      <div class="mt-3 space-y-4 text-xs">
+        ${classification ? renderClassification(classification) : ''}
+        ${cypher ? renderCypher(cypher) : ''}
+        ${records ? renderRecordsTable(records) : ''}
+        ${stageTimings.length > 0 ? renderTimings(stageTimings) : ''}
+      </div>
+    </details>
+  `;
+
+  // Copy the raw query (not the highlighted HTML)
+  const copyButton = container.querySelector('.copy-cypher');
+  if (copyButton) {
+    copyButton.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(cypher);
+        copyButton.textContent = 'Copied!';
+      } catch (error) {
+        console.error('Failed to copy Cypher query:', error);
+        copyButton.textContent = 'Copy failed';
+      }
+      setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+    });
+  }
+
+  container.classList.remove('hidden');
+}
+
+/**
+ * Render the question classification badge
+ * @param {string|object} classification - Classification label (or object with a label/type)
+ * @returns {string} HTML string
+ */
+function renderClassification(classification) {
+  const label = typeof classification === 'object'
+    ? classification.label || classification.type || JSON.stringify(classification)
+    : String(classification);
+
+  return `
+    <div>
+      <h4 class="font-semibold mb-1" style="color: var(--text-secondary);">Question type</h4>
+      <span class="inline-block px-2 py-0.5 glass-gold rounded-md capitalize" style="color: var(--gold);">${escapeHtml(label.replace(/_/g, ' '))}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render the generated Cypher query with syntax highlighting and a copy button
+ * @param {string} cypher - Cypher query text
+ * @returns {string} HTML string
+ */
+function renderCypher(cypher) {
+  return `
+    <div>
+      <div class="flex justify-between items-center mb-1">
+        <h4 class="font-semibold" style="color: var(--text-secondary);">Cypher query</h4>
+        <button type="button" class="copy-cypher px-2 py-0.5 glass glass-hover rounded cursor-pointer" style="color: var(--text-secondary);">Copy</button>
+      </div>
+      <pre class="cypher-query"><code>${highlightCypher(cypher)}</code></pre>
+    </div>
+  `;
+}
+
+/**
+ * Highlight a Cypher query as HTML
+ * @param {string} cypher - Cypher query text
+ * @returns {string} Escaped HTML with highlight spans
+ */
+export function highlightCypher(cypher) {
+  let html = '';
+  let lastIndex = 0;
+
+  for (const match of cypher.matchAll(CYPHER_TOKEN_PATTERN)) {
+    const type = Object.keys(match.groups).find(name => match.groups[name] !== undefined);
+    html += escapeHtml(cypher.slice(lastIndex, match.index));
+    html += `<span class="cypher-${type}">${escapeHtml(match[0])}</span>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(cypher.slice(lastIndex));
+}
+
+/**
+ * Render raw graph records as a table
+ * @param {Array} records - Records returned by the graph query
+ * @returns {string} HTML string
+ */
+function renderRecordsTable(records) {
+  if (!Array.isArray(records) || records.length === 0) {
+    return `
+      <div>
+        <h4 class="font-semibold mb-1" style="color: var(--text-secondary);">Graph results</h4>
+        <p style="color: var(--text-muted);">The query returned no records.</p>
+      </div>
+    `;
+  }
+
+  const rows = records.slice(0, MAX_RECORD_ROWS);
+  const isObjectRows = rows.every(row => row && typeof row === 'object' && !Array.isArray(row));
+
+  // Union of keys across rows, in first-seen order
+  const columns = isObjectRows
+    ? [...new Set(rows.flatMap(row => Object.keys(row)))]
+    : ['value'];
+
+  const headerHtml = columns.map(col => `<th class="text-left font-semibold px-2 py-1">${escapeHtml(col)}</th>`).join('');
+  const bodyHtml = rows.map(row => {
+    const cells = isObjectRows ? columns.map(col => row[col]) : [row];
+    return `<tr class="border-t border-gray-700">${cells.map(value =>
+      `<td class="px-2 py-1 align-top">${escapeHtml(formatCellValue(value))}</td>`
+    ).join('')}</tr>`;
+  }).join('');
+
+  const countNote = records.length > MAX_RECORD_ROWS
+    ? `Showing ${MAX_RECORD_ROWS} of ${records.length} records`
+    : `${records.length} ${records.length === 1 ? 'record' : 'records'}`;
+
+  return `
+    <div>
+      <div class="flex justify-between items-center mb-1">
+        <h4 class="font-semibold" style="color: var(--text-secondary);">Graph results</h4>
+        <span style="color: var(--text-muted);">${countNote}</span>
+      </div>
+      <div class="overflow-x-auto max-h-64 overflow-y-auto rounded-lg" style="border: 1px solid var(--border-subtle);">
+        <table class="w-full" style="color: var(--text-primary);">
+          <thead style="color: var(--text-secondary);"><tr>${headerHtml}</tr></thead>
+          <tbody>${bodyHtml}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Format a graph value for a table cell
+ * @param {any} value - Cell value
+ * @returns {string} Display text
+ */
+function formatCellValue(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') {
+    const json = JSON.stringify(value);
+    return json.length > 200 ? json.slice(0, 200) + '…' : json;
+  }
+  return String(value);
+}
+
+/**
+ * Render per-stage pipeline timings as proportional bars
+ * @param {Array<{stage: string, ms: number}>} timings - Stage durations
+ * @returns {string} HTML string
+ */
+function renderTimings(timings) {
+  const total = timings.reduce((sum, t) => sum + t.ms, 0);
+
+  const rowsHtml = timings.map(({ stage, ms }) => {
+    const pct = total > 0 ? Math.max(2, Math.round((ms / total) * 100)) : 0;
+    return `
+      <div class="flex items-center gap-2">
+        <span class="w-32 flex-none" style="color: var(--text-secondary);">${escapeHtml(STAGE_LABELS[stage] || stage)}</span>
+        <div class="flex-1 h-2 rounded-full overflow-hidden" style="background: var(--bg-surface);">
+          <div class="h-full rounded-full" style="width: ${pct}%; background: var(--gold);"></div>
+        </div>
+        <span class="w-16 flex-none text-right" style="color: var(--text-muted);">${formatDuration(ms)}</span>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div>
+      <div class="flex justify-between items-center mb-1">
+        <h4 class="font-semibold" style="color: var(--text-secondary);">Pipeline timings</h4>
+        <span style="color: var(--text-muted);">Total ${formatDuration(total)}</span>
+      </div>
+      <div class="space-y-1">${rowsHtml}</div>
+    </div>
+  `;
+}
+
+/**
+ * Format a duration in milliseconds
+ * @param {number} ms - Duration
+ * @returns {string} e.g. "850 ms" or "2.4 s"
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
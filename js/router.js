@@ -0,0 +1,178 @@
+/**
+ * Hash Router
+ * Keeps the open tab, entity profile, company, trends range and conversation in the
+ * URL hash (e.g. "#/trends?range=30d&entity=Ethereum") so every view has a shareable
+ * link that is restored on load and on back/forward
+ */
+
+// Tabs that can appear in the route
+const TABS = ['chat', 'trends', 'entities', 'portfolio', 'graph'];
+
+// Route when the hash is empty; parameters equal to these are left out of the URL
+const DEFAULT_ROUTE = { tab: 'chat', range: '7d', conversation: null, company: null, entity: null };
+
+// Query parameter name for each route key (the tab is the hash path)
+const PARAMS = { range: 'range', conversation: 'c', company: 'company', entity: 'entity' };
+
+// Handlers applying each route key, called in this order when the key changes
+const APPLY_ORDER = ['tab', 'range', 'conversation', 'company', 'entity'];
+
+// Marks history entries pushed during this page load (entries from earlier loads can't be popped safely)
+const SESSION_ID = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+let handlers = {};
+let currentRoute = { ...DEFAULT_ROUTE };
+
+/**
+ * Register route handlers and apply the route in the current URL
+ * Call this once on page load, after the views are initialized
+ * @param {object} routeHandlers - { tab(name), range(value), conversation(id|null), company(slug|null), entity(name|null) }
+ * @param {object} fallbacks - Optional callbacks returning a value for route keys when the URL has no
+ *   hash at all (e.g. a remembered range); a link with a hash is opened exactly as shared
+ */
+export function initRouter(routeHandlers, fallbacks = {}) {
+  handlers = routeHandlers;
+
+  window.addEventListener('popstate', () => {
+    applyRoute(parseHash(window.location.hash));
+  });
+
+  const initial = parseHash(window.location.hash);
+  if (!window.location.hash || window.location.hash === '#') {
+    Object.entries(fallbacks).forEach(([key, getValue]) => {
+      const value = getValue();
+      if (value) {
+        initial[key] = value;
+      }
+    });
+  }
+
+  // Normalize legacy or malformed hashes without adding a history entry
+  history.replaceState(null, '', buildHash(initial));
+  applyRoute(initial);
+}
+
+/**
+ * Change part of the route, update the URL and apply the change
+ * @param {object} changes - Route keys to change (e.g. { entity: 'Ethereum' })
+ * @param {object} options - { replace } to update the URL without a new history entry
+ */
+export function navigate(changes, { replace = false } = {}) {
+  const next = { ...currentRoute, ...changes };
+  if (APPLY_ORDER.every(key => next[key] === currentRoute[key])) return;
+
+  const hash = buildHash(next);
+  if (replace) {
+    history.replaceState(history.state, '', hash);
+  } else {
+    history.pushState({ session: SESSION_ID, previousHash: buildHash(currentRoute) }, '', hash);
+  }
+  applyRoute(next);
+}
+
+/**
+ * Undo a change, e.g. closing a modal: goes back when the previous history entry is
+ * the route with the change undone (so Back doesn't reopen it), otherwise replaces
+ * the current entry
+ * @param {object} changes - Route keys to change (e.g. { entity: null })
+ */
+export function navigateBack(changes) {
+  const target = buildHash({ ...currentRoute, ...changes });
+  const state = history.state;
+
+  if (state && state.session === SESSION_ID && state.previousHash === target) {
+    history.back();
+  } else {
+    navigate(changes, { replace: true });
+  }
+}
+
+/**
+ * @returns {object} The current route {tab, range, conversation, company, entity}
+ */
+export function getRoute() {
+  return { ...currentRoute };
+}
+
+/**
+ * Call the handlers of the route keys that changed
+ * @param {object} route - Route to apply
+ */
+function applyRoute(route) {
+  const previous = currentRoute;
+  currentRoute = route;
+
+  APPLY_ORDER.forEach(key => {
+    if (route[key] !== previous[key] && handlers[key]) {
+      handlers[key](route[key]);
+    }
+  });
+}
+
+/**
+ * Parse a location hash into a route
+ * Also accepts the older "#entity-<name>" links
+ * @param {string} hash - location.hash
+ * @returns {object} Route
+ */
+function parseHash(hash) {
+  const route = { ...DEFAULT_ROUTE };
+
+  const legacyEntity = hash.match(/^#entity-(.+)$/);
+  if (legacyEntity) {
+    route.entity = safeDecode(legacyEntity[1]);
+    return route;
+  }
+
+  const match = hash.match(/^#\/([^?]*)(?:\?(.*))?$/);
+  if (!match) return route;
+
+  if (TABS.includes(match[1])) {
+    route.tab = match[1];
+  }
+
+  const params = new URLSearchParams(match[2] || '');
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    const value = params.get(param);
+    if (value) {
+      route[key] = value;
+    }
+  });
+
+  // A company and an entity share the modal; the entity wins
+  if (route.entity) {
+    route.company = null;
+  }
+
+  return route;
+}
+
+/**
+ * Build the location hash for a route
+ * @param {object} route - Route
+ * @returns {string} Hash starting with "#/"
+ */
+function buildHash(route) {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    if (route[key] && route[key] !== DEFAULT_ROUTE[key]) {
+      params.set(param, route[key]);
+    }
+  });
+
+  const query = params.toString();
+  return `#/${route.tab}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Decode a URI component, falling back to the raw text if it is malformed
+ * @param {string} value - Encoded text
+ * @returns {string} Decoded text
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Conversation Sessions Sidebar
+ * Lists stored conversations with search, re-open and delete actions
+ */
+
+import { listConversations, deleteConversation } from './storage.js';
+import { formatDate, escapeHtml } from './utils.js';
+
+// Sidebar state
+let activeConversationId = null;
+let searchQuery = '';
+let sessionHandlers = { onOpen: null, onDelete: null };
+
+/**
+ * Initialize the sessions sidebar
+ * @param {object} handlers - { onOpen(id), onDelete(id) } callbacks
+ */
+export function initSessions(handlers = {}) {
+  const list = document.getElementById('sessions-list');
+  const search = document.getElementById('sessions-search');
+
+  if (!list) {
+    console.warn('Sessions sidebar not found');
+    return;
+  }
+
+  sessionHandlers = { ...sessionHandlers, ...handlers };
+
+  // Filter as the user types
+  if (search) {
+    search.addEventListener('input', () => {
+      searchQuery = search.value.trim().toLowerCase();
+      refreshSessions();
+    });
+  }
+
+  // Delegate clicks for open and delete actions
+  list.addEventListener('click', async (e) => {
+    const deleteButton = e.target.closest('[data-delete-id]');
+    if (deleteButton) {
+      e.stopPropagation();
+      await removeSession(deleteButton.dataset.deleteId);
+      return;
+    }
+
+    const item = e.target.closest('[data-conversation-id]');
+    if (item && sessionHandlers.onOpen) {
+      sessionHandlers.onOpen(item.dataset.conversationId);
+    }
+  });
+
+  refreshSessions();
+}
+
+/**
+ * Re-render the sessions list
+ * @param {string|null} activeId - ID of the open conversation (undefined keeps the current one)
+ */
+export async function refreshSessions(activeId) {
+  if (activeId !== undefined) {
+    activeConversationId = activeId;
+  }
+
+  const list = document.getElementById('sessions-list');
+  if (!list) return;
+
+  let conversations;
+  try {
+    conversations = await listConversations();
+  } catch (error) {
+    console.warn('Failed to load conversations:', error.message);
+    list.innerHTML = '<p class="text-xs px-2" style="color: var(--text-muted);">History is unavailable in this browser</p>';
+    return;
+  }
+
+  const filtered = conversations.filter(matchesSearch);
+
+  if (filtered.length === 0) {
+    list.innerHTML = `<p class="text-xs px-2" style="color: var(--text-muted);">${searchQuery ? 'No matching conversations' : 'No saved conversations yet'}</p>`;
+    return;
+  }
+
+  list.innerHTML = filtered.map(conversation => {
+    const isActive = conversation.id === activeConversationId;
+    const turnCount = conversation.turns.length;
+
+    return `
+      <div class="group flex items-start gap-2 px-2 py-2 rounded-lg cursor-pointer glass-hover ${isActive ? 'glass-gold' : ''}"
+           data-conversation-id="${escapeHtml(conversation.id)}">
+        <div class="flex-1 min-w-0">
+          <p class="text-sm truncate" style="color: ${isActive ? 'var(--gold)' : 'var(--text-primary)'};">${escapeHtml(conversation.title || 'Untitled')}</p>
+          <p class="text-xs" style="color: var(--text-muted);">${formatDate(new Date(conversation.updatedAt).toISOString())} &bull; ${turnCount} ${turnCount === 1 ? 'question' : 'questions'}</p>
+        </div>
+        <button type="button" class="opacity-0 group-hover:opacity-100 text-sm cursor-pointer" style="color: var(--text-secondary);"
+                data-delete-id="${escapeHtml(conversation.id)}" title="Delete conversation" aria-label="Delete conversation">&times;</button>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Check whether a conversation matches the current search query
+ * Searches the title and every question and answer
+ * @param {object} conversation - Stored conversation
+ * @returns {boolean} True if it matches
+ */
+function matchesSearch(conversation) {
+  if (!searchQuery) return true;
+
+  if ((conversation.title || '').toLowerCase().includes(searchQuery)) {
+    return true;
+  }
+
+  return conversation.turns.some(turn =>
+    turn.question.toLowerCase().includes(searchQuery) ||
+    (turn.answer || '').toLowerCase().includes(searchQuery)
+  );
+}
+
+/**
+ * Delete a conversation after confirmation
+ * @param {string} id - Conversation ID
+ */
+async function removeSession(id) {
+  if (!confirm('Delete this conversation? This cannot be undone.')) return;
+
+  try {
+    await deleteConversation(id);
+  } catch (error) {
+    console.error('Failed to delete conversation:', error);
+    return;
+  }
+
+  if (sessionHandlers.onDelete) {
+    sessionHandlers.onDelete(id);
+  }
+
+  refreshSessions();
+}
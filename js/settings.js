@@ -0,0 +1,178 @@
+/**
+ * Backend Settings Panel
+ * Lets users pick the API profile (production, staging, local, mock) or a custom URL
+ */
+
+import { API_PROFILES, API_TARGET, API_TARGET_STORAGE_KEY } from './config.js';
+import { escapeHtml } from './utils.js';
+
+// Descriptions shown next to each profile
+const PROFILE_DESCRIPTIONS = {
+  production: 'Live Render deployment',
+  staging: 'Staging deployment for testing backend changes',
+  local: 'Backend running on this machine',
+  mock: 'Built-in fixtures, works offline'
+};
+
+/**
+ * Initialize the settings button, panel and masthead badge
+ */
+export function initSettings() {
+  const trigger = document.getElementById('settings-trigger');
+  const modal = document.getElementById('settings-modal');
+
+  renderApiBadge();
+
+  if (!trigger || !modal) return;
+
+  trigger.addEventListener('click', openSettings);
+
+  // Close on backdrop click, close button or Escape
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target.closest('#settings-close')) {
+      closeSettings();
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+      closeSettings();
+    }
+  });
+}
+
+/**
+ * Show a badge in the masthead when not talking to production
+ */
+function renderApiBadge() {
+  const badge = document.getElementById('api-badge');
+  if (!badge) return;
+
+  if (API_TARGET.profile === 'production') {
+    badge.classList.add('hidden');
+    return;
+  }
+
+  badge.title = `API: ${API_TARGET.base}`;
+  badge.classList.remove('hidden');
+
+  // A custom backend receives every question, so name its host and flag it
+  if (API_TARGET.profile === 'custom') {
+    badge.textContent = `Custom API: ${new URL(API_TARGET.base).host}`;
+    badge.classList.remove('glass-gold');
+    badge.classList.add('border', 'border-red-500', 'bg-red-900/20', 'normal-case');
+    badge.style.color = '#f87171';
+    return;
+  }
+
+  badge.textContent = API_TARGET.profile;
+}
+
+/**
+ * Open the settings panel
+ */
+function openSettings() {
+  const modal = document.getElementById('settings-modal');
+  const content = document.getElementById('settings-content');
+  if (!modal || !content) return;
+
+  const isCustom = API_TARGET.profile === 'custom';
+
+  const profilesHtml = Object.entries(API_PROFILES).map(([name, url]) => `
+    <label class="flex items-start gap-3 p-2 rounded-lg cursor-pointer glass-hover">
+      <input type="radio" name="api-profile" value="${escapeHtml(name)}" class="mt-1" ${API_TARGET.profile === name ? 'checked' : ''}>
+      <span>
+        <span class="block text-sm font-semibold capitalize" style="color: var(--text-primary);">${escapeHtml(name)}</span>
+        <span class="block text-xs" style="color: var(--text-secondary);">${escapeHtml(PROFILE_DESCRIPTIONS[name] || '')}</span>
+        <span class="block text-xs" style="color: var(--text-muted);">${escapeHtml(url)}</span>
+      </span>
+    </label>
+  `).join('');
+
+  content.innerHTML = `
+    <form id="settings-form" class="space-y-2">
+      ${profilesHtml}
+      <label class="flex items-start gap-3 p-2 rounded-lg cursor-pointer glass-hover">
+        <input type="radio" name="api-profile" value="custom" class="mt-1" ${isCustom ? 'checked' : ''}>
+        <span class="flex-1">
+          <span class="block text-sm font-semibold" style="color: var(--text-primary);">Custom URL</span>
+          <input type="url" id="settings-custom-url" placeholder="https://my-backend.example.com"
+                 value="${isCustom ? escapeHtml(API_TARGET.base) : ''}"
+                 class="glass w-full mt-1 px-3 py-1.5 text-xs focus:outline-none"
+                 style="color: var(--text-primary); background: var(--bg-surface);">
+        </span>
+      </label>
+      <p id="settings-error" class="hidden text-xs text-red-400"></p>
+      <p class="text-xs pt-2" style="color: var(--text-muted);">Tip: append <code>?api=staging</code> (or any profile name) to a link to override this for one visit. Custom URLs can only be set here.</p>
+      <div class="flex justify-end gap-2 pt-2">
+        <button type="button" id="settings-reset" class="text-xs px-3 py-1.5 rounded-lg glass glass-hover cursor-pointer" style="color: var(--text-secondary);">Reset to production</button>
+        <button type="submit" class="text-xs px-3 py-1.5 rounded-lg font-semibold cursor-pointer" style="background: var(--gold); color: var(--bg-deep);">Save &amp; reload</button>
+      </div>
+    </form>
+  `;
+
+  const form = document.getElementById('settings-form');
+  const customInput = document.getElementById('settings-custom-url');
+
+  // Typing a URL selects the custom option
+  customInput.addEventListener('focus', () => {
+    form.querySelector('input[value="custom"]').checked = true;
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const selected = form.querySelector('input[name="api-profile"]:checked');
+    if (!selected) return;
+
+    if (selected.value === 'custom') {
+      const url = customInput.value.trim();
+      if (!/^https?:\/\/\S+$/.test(url)) {
+        const error = document.getElementById('settings-error');
+        error.textContent = 'Enter a full URL starting with http:// or https://';
+        error.classList.remove('hidden');
+        return;
+      }
+      applyApiTarget(url);
+    } else {
+      applyApiTarget(selected.value);
+    }
+  });
+
+  document.getElementById('settings-reset').addEventListener('click', () => applyApiTarget(null));
+
+  modal.classList.remove('hidden');
+}
+
+/**
+ * Close the settings panel
+ */
+function closeSettings() {
+  const modal = document.getElementById('settings-modal');
+  if (modal) {
+    modal.classList.add('hidden');
+  }
+}
+
+/**
+ * Store the backend target and reload the page so every module picks it up
+ * @param {string|null} value - Profile name, custom URL, or null for the default
+ */
+function applyApiTarget(value) {
+  try {
+    if (value) {
+      localStorage.setItem(API_TARGET_STORAGE_KEY, value);
+    } else {
+      localStorage.removeItem(API_TARGET_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to save backend setting:', error);
+  }
+
+  // A ?api= parameter would override the stored choice, so drop it
+  const url = new URL(window.location.href);
+  url.searchParams.delete('api');
+  if (url.toString() === window.location.href) {
+    window.location.reload();
+  } else {
+    window.location.replace(url.toString());
+  }
+}
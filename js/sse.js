@@ -0,0 +1,175 @@
+/**
+ * Server-Sent Events Parser
+ * Incremental event-stream parser following the WHATWG SSE specification
+ * (https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation)
+ */
+
+/**
+ * Create an incremental event-stream parser
+ * Feed it decoded text chunks of any size; it calls onEvent for each dispatched event.
+ * The last event ID and reconnection time survive reset() so a resumed connection
+ * can send Last-Event-ID.
+ * @param {function} onEvent - Callback({type, data, id, hasOwnId}) for each event; id is the
+ *   last event ID (inherited from earlier events per spec), hasOwnId is true when this event
+ *   carried its own id field
+ * @returns {object} Parser {feed(text), reset(), lastEventId, retry}
+ */
+export function createSSEParser(onEvent) {
+  // Per-connection state
+  let buffer = '';
+  let pendingCarriageReturn = false;
+  let isFirstChunk = true;
+  let dataBuffer = '';
+  let eventTypeBuffer = '';
+  let lastEventIdBuffer = '';
+  let eventHasId = false;
+
+  // Persistent state (kept across reconnections)
+  let lastEventId = '';
+  let retry = null;
+
+  /**
+   * Dispatch the buffered event (called on a blank line)
+   */
+  function dispatch() {
+    // The last event ID is updated even when no data was buffered
+    lastEventId = lastEventIdBuffer;
+    const hasOwnId = eventHasId;
+    eventHasId = false;
+
+    if (dataBuffer === '') {
+      eventTypeBuffer = '';
+      return;
+    }
+
+    // Remove the single trailing newline added by the last data field
+    const data = dataBuffer.endsWith('\n') ? dataBuffer.slice(0, -1) : dataBuffer;
+    const type = eventTypeBuffer || 'message';
+
+    dataBuffer = '';
+    eventTypeBuffer = '';
+
+    onEvent({ type, data, id: lastEventId, hasOwnId });
+  }
+
+  /**
+   * Process one complete line (without its terminator)
+   * @param {string} line - The line
+   */
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+
+    // Comment line (often used as a keep-alive)
+    if (line.startsWith(':')) return;
+
+    let field = line;
+    let value = '';
+    const colonIndex = line.indexOf(':');
+    if (colonIndex !== -1) {
+      field = line.slice(0, colonIndex);
+      value = line.slice(colonIndex + 1);
+      // Strip a single leading space from the value
+      if (value.startsWith(' ')) {
+        value = value.slice(1);
+      }
+    }
+
+    switch (field) {
+      case 'event':
+        eventTypeBuffer = value;
+        break;
+
+      case 'data':
+        dataBuffer += value + '\n';
+        break;
+
+      case 'id':
+        // IDs containing NULL are ignored per spec
+        if (!value.includes('\0')) {
+          lastEventIdBuffer = value;
+          eventHasId = true;
+        }
+        break;
+
+      case 'retry':
+        // Only ASCII digits are valid
+        if (/^\d+$/.test(value)) {
+          retry = parseInt(value, 10);
+        }
+        break;
+
+      default:
+        // Unknown fields are ignored
+        break;
+    }
+  }
+
+  return {
+    /**
+     * Feed a decoded chunk of the stream
+     * @param {string} text - Decoded text
+     */
+    feed(text) {
+      if (!text) return;
+
+      // Strip a leading byte order mark
+      if (isFirstChunk) {
+        isFirstChunk = false;
+        if (text.charCodeAt(0) === 0xfeff) {
+          text = text.slice(1);
+        }
+      }
+
+      // A CR at the end of the previous chunk may be the first half of a CRLF
+      if (pendingCarriageReturn && text.startsWith('\n')) {
+        text = text.slice(1);
+      }
+      pendingCarriageReturn = false;
+
+      buffer += text;
+
+      // Lines end with CRLF, LF or CR
+      const lineEnd = /\r\n|\n|\r/g;
+      let start = 0;
+      let match;
+      while ((match = lineEnd.exec(buffer)) !== null) {
+        // A trailing CR can't be classified until the next chunk arrives
+        if (match[0] === '\r' && match.index === buffer.length - 1) {
+          pendingCarriageReturn = true;
+        }
+        processLine(buffer.slice(start, match.index));
+        start = lineEnd.lastIndex;
+      }
+
+      // Keep the incomplete line for the next chunk
+      buffer = buffer.slice(start);
+    },
+
+    /**
+     * Reset per-connection state before reconnecting
+     * Pending (undispatched) data is discarded per spec; the last event ID is kept
+     */
+    reset() {
+      buffer = '';
+      pendingCarriageReturn = false;
+      isFirstChunk = true;
+      dataBuffer = '';
+      eventTypeBuffer = '';
+      lastEventIdBuffer = lastEventId;
+      eventHasId = false;
+    },
+
+    /** @returns {string} ID of the last dispatched event ('' if none) */
+    get lastEventId() {
+      return lastEventId;
+    },
+
+    /** @returns {number|null} Reconnection time in ms requested by the server */
+    get retry() {
+      return retry;
+    }
+  };
+}
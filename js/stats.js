@@ -0,0 +1,72 @@
+/**
+ * Trend Statistics
+ * Pure helpers for comparing topic volumes across periods (no DOM or network access)
+ */
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean, or 0 for no values
+ */
+export function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Population standard deviation
+ * @param {Array<number>} values - Values
+ * @returns {number} Standard deviation, or 0 for no values
+ */
+export function standardDeviation(values) {
+  if (values.length === 0) return 0;
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+/**
+ * Change of a count against the previous period
+ * @param {number} current - Count in the current period
+ * @param {number} previous - Count in the previous period
+ * @returns {object} {change, percent}; percent is null when the previous count is 0
+ */
+export function periodChange(current, previous) {
+  const change = current - previous;
+  return { change, percent: previous > 0 ? (change / previous) * 100 : null };
+}
+
+/**
+ * How many standard deviations a value sits above the mean of its baseline
+ * The deviation is floored at the Poisson noise level (square root of the mean, at least 1)
+ * so a flat or sparse baseline doesn't turn a few extra articles into a huge score
+ * @param {number} value - Value in the current period
+ * @param {Array<number>} baseline - Values in earlier periods
+ * @returns {number} z-score
+ */
+export function zScore(value, baseline) {
+  const average = mean(baseline);
+  const deviation = Math.max(standardDeviation(baseline), Math.sqrt(Math.max(average, 1)));
+  return (value - average) / deviation;
+}
+
+/**
+ * Topics whose volume jumped well above their recent baseline
+ * A topic is emerging when it has at least minArticles in the current period and its
+ * z-score against its own counts in the earlier periods reaches zThreshold
+ * @param {object} current - Article counts by topic in the current period
+ * @param {Array<object>} baselines - Article counts by topic in each earlier period (missing topics count as 0)
+ * @param {object} options - { zThreshold, minArticles }
+ * @returns {Array} Emerging topics {topic, articles, baseline, zScore}, highest score first
+ */
+export function findEmergingTopics(current, baselines, { zThreshold = 2, minArticles = 3 } = {}) {
+  if (baselines.length === 0) return [];
+
+  return Object.entries(current)
+    .filter(([, articles]) => articles >= minArticles)
+    .map(([topic, articles]) => {
+      const history = baselines.map(counts => counts[topic] || 0);
+      return { topic, articles, baseline: mean(history), zScore: zScore(articles, history) };
+    })
+    .filter(topic => topic.zScore >= zThreshold)
+    .sort((a, b) => b.zScore - a.zScore);
+}
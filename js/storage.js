@@ -0,0 +1,100 @@
+/**
+ * Conversation Storage
+ * Persists chat conversations locally in IndexedDB
+ */
+
+const DB_NAME = 'blockwall-kg-hub';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+
+// Lazily opened database connection
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the IndexedDB database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to retry if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the conversations store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {function} operation - Callback(store) returning an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Save (insert or replace) a conversation
+ * @param {object} conversation - Conversation {id, title, createdAt, updatedAt, turns}
+ * @returns {Promise<void>}
+ */
+export async function saveConversation(conversation) {
+  await withStore('readwrite', store => store.put(conversation));
+}
+
+/**
+ * Load a single conversation by ID
+ * @param {string} id - Conversation ID
+ * @returns {Promise<object|null>} The conversation or null if missing
+ */
+export async function getConversation(id) {
+  const conversation = await withStore('readonly', store => store.get(id));
+  return conversation || null;
+}
+
+/**
+ * List all conversations, most recently updated first
+ * @returns {Promise<Array>} Conversations
+ */
+export async function listConversations() {
+  const conversations = await withStore('readonly', store => store.getAll());
+  return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Delete a conversation by ID
+ * @param {string} id - Conversation ID
+ * @returns {Promise<void>}
+ */
+export async function deleteConversation(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
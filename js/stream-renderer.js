@@ -0,0 +1,130 @@
+/**
+ * Streaming Markdown Renderer
+ * Renders a growing markdown answer incrementally: tokens are batched per animation
+ * frame, completed blocks are rendered once, and only the trailing block is re-rendered
+ */
+
+import { sanitizeAndRender } from './utils.js';
+
+/**
+ * Find the end of the last completed block in pending markdown
+ * A block is complete once it is followed by a blank line outside a code fence
+ * @param {string} text - Markdown not yet committed (starts outside any fence)
+ * @returns {number} Offset just after the last block boundary, or 0 if none
+ */
+export function findBlockBoundary(text) {
+  let boundary = 0;
+  let inFence = false;
+  let fenceMarker = '';
+  let offset = 0;
+
+  const lines = text.split('\n');
+  // The last line may still be growing, so it never ends a block
+  for (let i = 0; i < lines.length - 1; i++) {
+    const line = lines[i];
+    const lineEnd = offset + line.length + 1;
+
+    const fence = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fence) {
+      if (!inFence) {
+        inFence = true;
+        fenceMarker = fence[1];
+      } else if (fence[1][0] === fenceMarker[0] && fence[1].length >= fenceMarker.length) {
+        inFence = false;
+      }
+    } else if (!inFence && line.trim() === '' && offset > 0) {
+      boundary = lineEnd;
+    }
+
+    offset = lineEnd;
+  }
+
+  return boundary;
+}
+
+/**
+ * Create a streaming renderer for an answer container
+ * @param {HTMLElement} container - Element the answer is rendered into
+ * @param {object} hooks - { beforeRender(), afterRender(newElements) } called around each frame
+ * @returns {object} Renderer {append(token), flush(), getText()}
+ */
+export function createStreamRenderer(container, hooks = {}) {
+  let text = '';
+  let committedLength = 0;
+  let frameId = null;
+
+  // Completed blocks are appended once; the trailing block is re-rendered each frame
+  container.innerHTML = '';
+  const tailEl = document.createElement('div');
+  tailEl.className = 'stream-tail';
+  container.appendChild(tailEl);
+
+  /**
+   * Render everything appended since the last frame
+   */
+  function render() {
+    frameId = null;
+
+    if (hooks.beforeRender) {
+      hooks.beforeRender();
+    }
+
+    const newElements = [];
+    const pending = text.slice(committedLength);
+    const boundary = findBlockBoundary(pending);
+
+    if (boundary > 0) {
+      const blockEl = document.createElement('div');
+      blockEl.className = 'stream-block';
+      blockEl.innerHTML = sanitizeAndRender(pending.slice(0, boundary));
+      container.insertBefore(blockEl, tailEl);
+      newElements.push(blockEl);
+      committedLength += boundary;
+    }
+
+    tailEl.innerHTML = sanitizeAndRender(text.slice(committedLength));
+    newElements.push(tailEl);
+
+    if (hooks.afterRender) {
+      hooks.afterRender(newElements);
+    }
+  }
+
+  return {
+    /**
+     * Append a token; rendering happens on the next animation frame
+     * @param {string} token - Streamed text
+     */
+    append(token) {
+      text += token;
+      if (frameId === null) {
+        frameId = requestAnimationFrame(render);
+      }
+    },
+
+    /**
+     * Render any pending text immediately
+     */
+    flush() {
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+        render();
+      }
+    },
+
+    /**
+     * Stop rendering (e.g. when the message is reset)
+     */
+    cancel() {
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+      }
+    },
+
+    /** @returns {string} Full text received so far */
+    getText() {
+      return text;
+    }
+  };
+}
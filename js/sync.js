@@ -0,0 +1,80 @@
+/**
+ * Sync Button
+ * Triggers an article sync on the backend and shows the result in the masthead
+ */
+
+import { API_BASE, SYNC_HISTORY_STORAGE_KEY } from './config.js';
+
+// Dispatched on window after each successful sync; detail is the sync response
+export const SYNC_EVENT = 'blockwall:sync';
+
+// Number of syncs kept in the history
+const MAX_SYNC_HISTORY = 100;
+
+/**
+ * Initialize the masthead sync button
+ */
+export function initSync() {
+  const button = document.getElementById('sync-trigger');
+  if (!button) return;
+
+  button.addEventListener('click', runSync);
+}
+
+/**
+ * Run a sync and update the masthead indicator
+ */
+async function runSync() {
+  const dot = document.getElementById('sync-dot');
+  const label = document.getElementById('sync-label');
+  if (!dot || !label) return;
+
+  label.textContent = 'Syncing...';
+  dot.classList.add('sync-pulse');
+
+  try {
+    const res = await fetch(API_BASE + '/api/sync', { method: 'POST' });
+    if (!res.ok) {
+      throw new Error(`Sync request failed: ${res.status} ${res.statusText}`);
+    }
+    const data = await res.json();
+    label.textContent = data.new_articles > 0 ? `+${data.new_articles} new` : 'Up to date';
+    recordSync(data);
+    window.dispatchEvent(new CustomEvent(SYNC_EVENT, { detail: data }));
+  } catch (error) {
+    console.error('Sync failed:', error);
+    label.textContent = 'Sync failed';
+  }
+
+  setTimeout(() => { label.textContent = 'Synced'; }, 4000);
+  dot.classList.remove('sync-pulse');
+}
+
+/**
+ * Syncs run from this browser, oldest first
+ * @returns {Array} Syncs {time, new_articles}
+ */
+export function getSyncHistory() {
+  try {
+    const history = JSON.parse(localStorage.getItem(SYNC_HISTORY_STORAGE_KEY) || '[]');
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    // Corrupt or unavailable storage
+    return [];
+  }
+}
+
+/**
+ * Add a successful sync to the history
+ * @param {object} data - Sync response
+ */
+function recordSync(data) {
+  const history = getSyncHistory();
+  history.push({ time: new Date().toISOString(), new_articles: data.new_articles || 0 });
+
+  try {
+    localStorage.setItem(SYNC_HISTORY_STORAGE_KEY, JSON.stringify(history.slice(-MAX_SYNC_HISTORY)));
+  } catch (error) {
+    console.warn('Could not save sync history:', error.message);
+  }
+}
@@ -0,0 +1,450 @@
+/**
+ * Entity Watchlist
+ * Lets users star entities, keeps them in localStorage and highlights watched
+ * entities that gained articles or flipped dominant sentiment since the last visit
+ */
+
+import { fetchFresh } from './cache.js';
+import { WATCHLIST_CONFIG } from './config.js';
+import { SYNC_EVENT } from './sync.js';
+import { formatDate, escapeHtml } from './utils.js';
+import { getLabelStyle, showEntityDetail } from './entities.js';
+
+// Watched entities in the order they were added:
+// {name, label, addedAt, seen, latest} where seen/latest are profile snapshots
+let watchlist = null;
+
+// Names whose last check failed (not persisted)
+const failedChecks = new Set();
+
+let isChecking = false;
+let recheckPending = false;
+let lastCheckedAt = null;
+
+/**
+ * Initialize the masthead button, panel, star buttons and change checks
+ * Call this once on page load, after initCache so syncs invalidate cached profiles first
+ */
+export function initWatchlist() {
+  const trigger = document.getElementById('watchlist-trigger');
+  const modal = document.getElementById('watchlist-modal');
+
+  if (!trigger || !modal) {
+    console.error('Watchlist button or panel not found');
+    return;
+  }
+
+  trigger.addEventListener('click', openWatchlist);
+
+  // Close on backdrop click, close button or Escape
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target.closest('#watchlist-close')) {
+      closeWatchlist();
+      return;
+    }
+
+    const openButton = e.target.closest('[data-watch-open]');
+    if (openButton) {
+      closeWatchlist();
+      showEntityDetail(openButton.dataset.watchOpen);
+    } else if (e.target.closest('#watchlist-refresh')) {
+      checkWatchlist();
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+      closeWatchlist();
+    }
+  });
+
+  // Delegate click handler for star buttons (pills, entity modal, watchlist panel)
+  document.addEventListener('click', (e) => {
+    const starButton = e.target.closest('[data-watch-entity]');
+    if (starButton) {
+      toggleWatch(starButton.dataset.watchEntity, starButton.dataset.watchLabel || null);
+    }
+  });
+
+  window.addEventListener(SYNC_EVENT, (e) => {
+    if (e.detail && e.detail.new_articles > 0) {
+      checkWatchlist();
+    }
+  });
+
+  renderWatchlistBadge();
+  checkWatchlist();
+}
+
+/**
+ * @param {string} entityName - Entity name
+ * @returns {boolean} True if the entity is on the watchlist
+ */
+export function isWatched(entityName) {
+  return getWatchlist().some(item => item.name === entityName);
+}
+
+/**
+ * Build the HTML for a star button that adds or removes an entity from the watchlist
+ * Clicks are handled by the delegate in initWatchlist
+ * @param {object} entity - Entity {name, label?}
+ * @param {string} className - Extra classes for the button
+ * @returns {string} HTML string
+ */
+export function renderWatchButton(entity, className = '') {
+  const watched = isWatched(entity.name);
+  const name = escapeHtml(entity.name);
+  const title = watched ? `Stop watching ${name}` : `Watch ${name}`;
+
+  return `<button type="button" data-watch-entity="${name}" data-watch-label="${escapeHtml(entity.label || '')}" aria-pressed="${watched}" title="${title}" aria-label="${title}" class="cursor-pointer ${className}" style="color: ${watched ? 'var(--gold)' : 'inherit'};">${watched ? '&#9733;' : '&#9734;'}</button>`;
+}
+
+/**
+ * Add an entity to the watchlist, or remove it if it is already watched
+ * @param {string} entityName - Entity name
+ * @param {string|null} label - Graph label, if known
+ */
+function toggleWatch(entityName, label) {
+  const list = getWatchlist();
+
+  if (isWatched(entityName)) {
+    watchlist = list.filter(item => item.name !== entityName);
+    failedChecks.delete(entityName);
+  } else {
+    if (list.length >= WATCHLIST_CONFIG.maxEntities) {
+      flashLabel(`Watchlist full (${WATCHLIST_CONFIG.maxEntities})`);
+      return;
+    }
+    list.push({ name: entityName, label, addedAt: Date.now(), seen: null, latest: null });
+    checkEntity(list[list.length - 1]).then(() => {
+      persistWatchlist();
+      renderWatchlistPanel();
+    });
+  }
+
+  persistWatchlist();
+  updateWatchButtons();
+  renderWatchlistBadge();
+  renderWatchlistPanel();
+}
+
+/**
+ * Refresh every watched entity's profile and update the highlights
+ */
+async function checkWatchlist() {
+  const list = getWatchlist();
+  if (list.length === 0) return;
+
+  // A sync finished during a check: run again once it is done
+  if (isChecking) {
+    recheckPending = true;
+    return;
+  }
+
+  isChecking = true;
+  renderWatchlistPanel();
+
+  // A few profiles at a time so large watchlists don't flood the backend
+  const queue = [...list];
+  const worker = async () => {
+    while (queue.length > 0) {
+      await checkEntity(queue.shift());
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(WATCHLIST_CONFIG.concurrency, queue.length) }, worker));
+
+  isChecking = false;
+  lastCheckedAt = Date.now();
+  persistWatchlist();
+  renderWatchlistBadge();
+  renderWatchlistPanel();
+
+  if (recheckPending) {
+    recheckPending = false;
+    checkWatchlist();
+  }
+}
+
+/**
+ * Fetch one entity's profile and store it as the latest snapshot
+ * A newly watched entity takes its first snapshot as the baseline
+ * @param {object} item - Watchlist item
+ */
+async function checkEntity(item) {
+  try {
+    // Network first: a profile cached on an earlier visit would hide the changes since then
+    const profile = await fetchFresh(`/api/entities/${encodeURIComponent(item.name)}/profile`);
+    if (!profile.found) {
+      failedChecks.add(item.name);
+      return;
+    }
+
+    const latestArticle = (profile.recent_articles || [])[0] || null;
+    item.label = profile.label || item.label;
+    item.latest = {
+      mentions: profile.total_mentions || 0,
+      breakdown: profile.sentiment_breakdown || {},
+      dominant: dominantSentiment(profile.sentiment_breakdown),
+      latestArticle: latestArticle && { title: latestArticle.title, url: latestArticle.url, published_at: latestArticle.published_at },
+      checkedAt: Date.now()
+    };
+    if (!item.seen) {
+      item.seen = item.latest;
+    }
+    failedChecks.delete(item.name);
+  } catch (error) {
+    console.error('Failed to check watched entity:', item.name, error);
+    failedChecks.add(item.name);
+  }
+}
+
+/**
+ * Compare an entity's latest snapshot with the one seen on the last visit
+ * @param {object} item - Watchlist item
+ * @returns {object} {newArticles, flipped: {from, to}|null, netShift, hasAlert}
+ */
+function getChanges(item) {
+  const { seen, latest } = item;
+  if (!seen || !latest) {
+    return { newArticles: 0, flipped: null, netShift: 0, hasAlert: false };
+  }
+
+  const newArticles = Math.max(0, latest.mentions - seen.mentions);
+  const flipped = latest.dominant !== seen.dominant ? { from: seen.dominant, to: latest.dominant } : null;
+  const netShift = netSentiment(latest.breakdown) - netSentiment(seen.breakdown);
+
+  return { newArticles, flipped, netShift, hasAlert: newArticles > 0 || Boolean(flipped) };
+}
+
+/**
+ * Open the watchlist panel
+ */
+function openWatchlist() {
+  const modal = document.getElementById('watchlist-modal');
+  if (!modal) return;
+
+  modal.classList.remove('hidden');
+  renderWatchlistPanel();
+}
+
+/**
+ * Close the watchlist panel; the highlighted changes count as seen from now on
+ */
+function closeWatchlist() {
+  const modal = document.getElementById('watchlist-modal');
+  if (!modal || modal.classList.contains('hidden')) return;
+
+  modal.classList.add('hidden');
+
+  getWatchlist().forEach(item => {
+    if (item.latest) {
+      item.seen = item.latest;
+    }
+  });
+  persistWatchlist();
+  renderWatchlistBadge();
+}
+
+/**
+ * Render the watchlist rows, changed entities first
+ */
+function renderWatchlistPanel() {
+  const modal = document.getElementById('watchlist-modal');
+  const content = document.getElementById('watchlist-content');
+  if (!modal || !content || modal.classList.contains('hidden')) return;
+
+  const list = getWatchlist();
+  if (list.length === 0) {
+    content.innerHTML = `
+      <p class="text-sm text-center py-8" style="color: var(--text-muted);">
+        No watched entities yet. Star an entity (&#9734;) on a pill or in its profile to follow it here.
+      </p>
+    `;
+    return;
+  }
+
+  const rows = list
+    .map(item => ({ item, changes: getChanges(item) }))
+    .sort((a, b) => Number(b.changes.hasAlert) - Number(a.changes.hasAlert));
+  const alertCount = rows.filter(row => row.changes.hasAlert).length;
+
+  const status = isChecking
+    ? 'Checking for changes...'
+    : `${alertCount > 0 ? `${alertCount} changed since your last visit` : 'No changes since your last visit'}${lastCheckedAt ? ` &middot; checked ${formatTime(lastCheckedAt)}` : ''}`;
+
+  content.innerHTML = `
+    <div class="flex justify-between items-center mb-3 text-xs" style="color: var(--text-muted);">
+      <span>${status}</span>
+      <button type="button" id="watchlist-refresh" class="px-2 py-1 glass glass-hover rounded cursor-pointer disabled:opacity-40" style="color: var(--text-secondary);" ${isChecking ? 'disabled' : ''}>Refresh</button>
+    </div>
+    <div class="space-y-2">
+      ${rows.map(({ item, changes }) => renderWatchlistRow(item, changes)).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render one watched entity: mentions, sentiment shift and latest article
+ * @param {object} item - Watchlist item
+ * @param {object} changes - Changes from getChanges
+ * @returns {string} HTML string
+ */
+function renderWatchlistRow(item, changes) {
+  const style = getLabelStyle(item.label);
+  const { latest } = item;
+
+  let details;
+  if (!latest) {
+    details = `<span>${failedChecks.has(item.name) ? 'Could not load profile' : 'Loading...'}</span>`;
+  } else {
+    const netShift = Math.round(changes.netShift);
+    const sentimentHtml = changes.flipped
+      ? `<span class="capitalize" style="color: var(--gold);">${escapeHtml(changes.flipped.from)} &rarr; ${escapeHtml(changes.flipped.to)}</span>`
+      : `<span class="capitalize">${escapeHtml(latest.dominant)}</span>`;
+
+    details = `
+      <span>${latest.mentions} mentions${changes.newArticles > 0 ? ` <span style="color: var(--gold);">(+${changes.newArticles} new)</span>` : ''}</span>
+      ${sentimentHtml}
+      <span title="Net sentiment (bullish minus bearish share)">net ${formatSigned(Math.round(netSentiment(latest.breakdown)))}${netShift !== 0 ? ` (${netShift > 0 ? '&#9650;' : '&#9660;'}${Math.abs(netShift)} pts)` : ''}</span>
+      ${failedChecks.has(item.name) ? '<span class="text-red-400">refresh failed</span>' : ''}
+    `;
+  }
+
+  const article = latest && latest.latestArticle;
+  const articleHtml = article
+    ? `<div class="text-xs mt-1 truncate">
+        ${article.url
+          ? `<a href="${escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer" class="hover:underline" style="color: var(--gold);">${escapeHtml(article.title)}</a>`
+          : `<span style="color: var(--text-primary);">${escapeHtml(article.title)}</span>`}
+        ${article.published_at ? `<span style="color: var(--text-muted);"> &middot; ${formatDate(article.published_at)}</span>` : ''}
+      </div>`
+    : '';
+
+  return `
+    <div class="${changes.hasAlert ? 'glass-gold' : 'glass'} rounded-lg p-3">
+      <div class="flex justify-between items-start gap-2">
+        <button type="button" data-watch-open="${escapeHtml(item.name)}" class="text-left font-semibold cursor-pointer hover:underline" style="color: var(--text-primary);">
+          <span aria-hidden="true">${style.icon}</span> ${escapeHtml(item.name)}
+        </button>
+        ${renderWatchButton(item, 'text-lg leading-none')}
+      </div>
+      <div class="flex flex-wrap gap-x-3 text-xs mt-1" style="color: var(--text-secondary);">${details}</div>
+      ${articleHtml}
+    </div>
+  `;
+}
+
+/**
+ * Show the number of changed entities on the masthead button
+ */
+function renderWatchlistBadge() {
+  const count = document.getElementById('watchlist-count');
+  const trigger = document.getElementById('watchlist-trigger');
+  if (!count || !trigger) return;
+
+  const alertCount = getWatchlist().filter(item => getChanges(item).hasAlert).length;
+  count.textContent = alertCount;
+  count.classList.toggle('hidden', alertCount === 0);
+  trigger.title = alertCount > 0
+    ? `Watchlist: ${alertCount} ${alertCount === 1 ? 'entity' : 'entities'} changed since your last visit`
+    : 'Watchlist';
+}
+
+/**
+ * Sync every star button on the page with the watchlist
+ */
+function updateWatchButtons() {
+  document.querySelectorAll('[data-watch-entity]').forEach(button => {
+    const watched = isWatched(button.dataset.watchEntity);
+    const title = watched ? `Stop watching ${button.dataset.watchEntity}` : `Watch ${button.dataset.watchEntity}`;
+    button.innerHTML = watched ? '&#9733;' : '&#9734;';
+    button.style.color = watched ? 'var(--gold)' : 'inherit';
+    button.setAttribute('aria-pressed', String(watched));
+    button.setAttribute('aria-label', title);
+    button.title = title;
+  });
+}
+
+/**
+ * Briefly show a message in place of the masthead button label
+ * @param {string} message - Text to show
+ */
+function flashLabel(message) {
+  const label = document.getElementById('watchlist-label');
+  if (!label) return;
+
+  label.textContent = message;
+  setTimeout(() => { label.textContent = 'Watchlist'; }, 3000);
+}
+
+/**
+ * Watched entities, loaded from localStorage on first use
+ * @returns {Array} Watchlist items
+ */
+function getWatchlist() {
+  if (watchlist) return watchlist;
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(WATCHLIST_CONFIG.storageKey) || '[]');
+    watchlist = Array.isArray(stored) ? stored.filter(item => item && item.name) : [];
+  } catch (error) {
+    // Corrupt or unavailable storage: start empty
+    console.warn('Could not load watchlist:', error.message);
+    watchlist = [];
+  }
+  return watchlist;
+}
+
+/**
+ * Write the watchlist to localStorage
+ */
+function persistWatchlist() {
+  try {
+    localStorage.setItem(WATCHLIST_CONFIG.storageKey, JSON.stringify(getWatchlist()));
+  } catch (error) {
+    console.warn('Could not save watchlist:', error.message);
+  }
+}
+
+/**
+ * Most frequent sentiment in a breakdown
+ * @param {object} breakdown - Sentiment counts
+ * @returns {string} Dominant sentiment ('neutral' if empty)
+ */
+function dominantSentiment(breakdown) {
+  let dominant = 'neutral';
+  let maxCount = 0;
+  for (const [sentiment, count] of Object.entries(breakdown || {})) {
+    if (count > maxCount) {
+      maxCount = count;
+      dominant = sentiment;
+    }
+  }
+  return dominant;
+}
+
+/**
+ * Net sentiment: bullish share minus bearish share, in percentage points
+ * @param {object} breakdown - Sentiment counts
+ * @returns {number} Value between -100 and 100
+ */
+function netSentiment(breakdown) {
+  const { bullish = 0, bearish = 0, neutral = 0 } = breakdown || {};
+  const total = bullish + bearish + neutral;
+  return total > 0 ? ((bullish - bearish) / total) * 100 : 0;
+}
+
+/**
+ * @param {number} value - Number to format
+ * @returns {string} Number with an explicit sign ("+12", "-3", "0")
+ */
+function formatSigned(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * @param {number} time - Timestamp (ms)
+ * @returns {string} Local time of day (e.g. "9:41 AM")
+ */
+function formatTime(time) {
+  return new Date(time).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}